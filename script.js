@@ -58,6 +58,75 @@
                 flex-shrink: 0;
             }
         }
+
+        /* Weekly timetable grid */
+        .timetable-day {
+            position: relative;
+            border-left: 1px solid #e2e8f0; /* gray-200 */
+        }
+        .timetable-hour-line {
+            position: absolute;
+            left: 0;
+            right: 0;
+            border-top: 1px dashed #edf2f7; /* gray-100 */
+        }
+        .timetable-block {
+            position: absolute;
+            border: 1px solid;
+            border-radius: 4px;
+            padding: 1px 3px;
+            overflow: hidden;
+            font-size: 0.625rem; /* 10px */
+            line-height: 1.1;
+        }
+        .timetable-block.timetable-conflict {
+            background-color: #fed7d7 !important; /* Tailwind red-200 */
+            border-color: #e53e3e !important; /* Tailwind red-600 */
+            color: #9b2c2c !important; /* Tailwind red-800 */
+        }
+        .timetable-block.timetable-preview {
+            border-style: dashed;
+            border-width: 2px;
+            opacity: 0.8;
+        }
+        .timetable-block.timetable-busy {
+            background-image: repeating-linear-gradient(45deg, transparent, transparent 4px, rgba(113, 128, 150, 0.15) 4px, rgba(113, 128, 150, 0.15) 8px);
+        }
+        .timetable-draw {
+            position: absolute;
+            left: 1px;
+            right: 1px;
+            background-color: rgba(113, 128, 150, 0.3); /* gray-600 */
+            border: 1px dashed #4a5568; /* gray-700 */
+            border-radius: 4px;
+            pointer-events: none;
+        }
+
+        /* Printable schedule (built into #print-layout just before printing) */
+        #print-layout.print-grayscale {
+            filter: grayscale(100%);
+        }
+        @media print {
+            @page {
+                size: A4 landscape;
+                margin: 10mm;
+            }
+            body {
+                padding: 0 !important;
+                background: #fff !important;
+                -webkit-print-color-adjust: exact;
+                print-color-adjust: exact;
+            }
+            body > *:not(#print-layout) {
+                display: none !important;
+            }
+            #print-layout {
+                display: block !important;
+            }
+            #print-layout .timetable-block {
+                font-size: 0.55rem;
+            }
+        }
     </style>
     <script>
         tailwind.config = {
@@ -84,23 +153,179 @@
             <!-- Loading indicator initially, then content -->
             <div id="loading-indicator" class="text-center py-20">
                 <div class="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-600 mx-auto mb-4"></div>
-                <p class="text-gray-700 font-semibold">Loading course data from course_offerings.csv...</p>
+                <p class="text-gray-700 font-semibold">Loading course data...</p>
+            </div>
+        </div>
+    </div>
+
+    <!-- Calendar Export Modal (Initially Hidden) -->
+    <div id="ics-export-modal" class="fixed inset-0 w-full h-full bg-black bg-opacity-50 flex items-center justify-center p-4 z-40 hidden">
+        <div class="bg-white w-full max-w-lg max-h-[90vh] rounded-xl shadow-2xl overflow-hidden flex flex-col">
+            <div class="flex justify-between items-center p-4 border-b">
+                <h2 class="text-2xl font-bold text-gray-800">Export to Calendar (.ics)</h2>
+                <button onclick="closeICSExportDialog()" class="text-gray-500 hover:text-gray-800 text-3xl font-bold">&times;</button>
+            </div>
+            <div class="p-4 md:p-6 overflow-y-auto space-y-4">
+                <div class="grid grid-cols-2 gap-4">
+                    <label class="block text-sm font-semibold text-gray-700">Semester start
+                        <input type="date" id="ics-semester-start" class="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal">
+                    </label>
+                    <label class="block text-sm font-semibold text-gray-700">Semester end
+                        <input type="date" id="ics-semester-end" class="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal">
+                    </label>
+                </div>
+                <label class="block text-sm font-semibold text-gray-700">Time zone
+                    <input type="text" id="ics-timezone" list="ics-timezone-list" placeholder="Asia/Dhaka"
+                        class="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal">
+                    <datalist id="ics-timezone-list"></datalist>
+                </label>
+                <label class="block text-sm font-semibold text-gray-700">No-class dates (holidays, exam weeks)
+                    <textarea id="ics-exception-dates" rows="4" placeholder="2026-12-16&#10;2027-01-10..2027-01-16"
+                        class="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal text-sm font-mono"></textarea>
+                    <span class="block text-xs font-normal text-gray-500">One date (YYYY-MM-DD) or range (YYYY-MM-DD..YYYY-MM-DD) per line.</span>
+                </label>
+                <div id="ics-load-checklist"></div>
+                <p id="ics-export-error" class="text-sm text-red-600 font-semibold hidden"></p>
+            </div>
+            <div class="p-4 border-t bg-gray-50 text-right">
+                <button onclick="exportICSFromDialog()"
+                    class="py-2 px-4 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition duration-150 text-sm">
+                    Download .ics
+                </button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Print & File Export Modal (Initially Hidden) -->
+    <div id="print-export-modal" class="fixed inset-0 w-full h-full bg-black bg-opacity-50 flex items-center justify-center p-4 z-40 hidden">
+        <div class="bg-white w-full max-w-lg max-h-[90vh] rounded-xl shadow-2xl overflow-hidden flex flex-col">
+            <div class="flex justify-between items-center p-4 border-b">
+                <h2 class="text-2xl font-bold text-gray-800">Print &amp; Export</h2>
+                <button onclick="closePrintExportDialog()" class="text-gray-500 hover:text-gray-800 text-3xl font-bold">&times;</button>
+            </div>
+            <div class="p-4 md:p-6 overflow-y-auto space-y-4">
+                <div class="text-sm font-semibold text-gray-700">Colours
+                    <div class="mt-1 flex gap-4 font-normal">
+                        <label class="flex items-center gap-2"><input type="radio" name="print-color-mode" value="color" class="w-4 h-4 text-indigo-600"> Colour</label>
+                        <label class="flex items-center gap-2"><input type="radio" name="print-color-mode" value="grayscale" class="w-4 h-4 text-indigo-600"> Grayscale</label>
+                    </div>
+                    <span class="block text-xs font-normal text-gray-500">Applies to the printout/PDF and the PNG image.</span>
+                </div>
+                <div id="print-load-checklist"></div>
+                <p id="print-export-error" class="text-sm text-red-600 font-semibold hidden"></p>
+            </div>
+            <div class="p-4 border-t bg-gray-50 flex flex-wrap justify-end gap-2">
+                <button onclick="exportScheduleFile('json')"
+                    class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 text-sm">
+                    JSON
+                </button>
+                <button onclick="exportScheduleFile('csv')"
+                    class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 text-sm">
+                    CSV
+                </button>
+                <button onclick="exportScheduleFile('png')"
+                    class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 text-sm">
+                    PNG Image
+                </button>
+                <button onclick="printSchedule()"
+                    class="py-2 px-4 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition duration-150 text-sm">
+                    Print / Save as PDF
+                </button>
             </div>
         </div>
     </div>
 
+    <!-- Plan Import Modal (Initially Hidden) -->
+    <div id="plan-import-modal" class="fixed inset-0 w-full h-full bg-black bg-opacity-50 flex items-center justify-center p-4 z-40 hidden">
+        <div class="bg-white w-full max-w-lg max-h-[90vh] rounded-xl shadow-2xl overflow-hidden flex flex-col">
+            <div class="flex justify-between items-center p-4 border-b">
+                <h2 class="text-2xl font-bold text-gray-800">Import a Plan</h2>
+                <button onclick="closePlanImportDialog()" class="text-gray-500 hover:text-gray-800 text-3xl font-bold">&times;</button>
+            </div>
+            <div class="p-4 md:p-6 overflow-y-auto space-y-4">
+                <label class="block text-sm font-semibold text-gray-700">Paste courses and sections
+                    <textarea id="plan-import-text" rows="5" placeholder="CSE 2215 E, CSE 2216 L, SOC 2101 B"
+                        class="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal text-sm font-mono"></textarea>
+                    <span class="block text-xs font-normal text-gray-500">Course code followed by an optional section, separated by commas or new lines.</span>
+                </label>
+                <label class="block text-sm font-semibold text-gray-700">...or choose a plan file
+                    <input type="file" id="plan-import-file" accept=".csv,.json,.xlsx"
+                        class="mt-1 w-full text-sm font-normal">
+                    <span class="block text-xs font-normal text-gray-500">CSV, JSON or XLSX with a course code column, e.g. a plan exported from this app.</span>
+                </label>
+                <label class="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" id="plan-import-keep" class="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500">
+                    Add to my current plan instead of replacing it
+                </label>
+                <p id="plan-import-error" class="text-sm text-red-600 font-semibold hidden"></p>
+            </div>
+            <div class="p-4 border-t bg-gray-50 text-right">
+                <button onclick="importPlanFromDialog()"
+                    class="py-2 px-4 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition duration-150 text-sm">
+                    Import
+                </button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Printable Schedule (only visible when printing) -->
+    <div id="print-layout" class="hidden"></div>
+
     <script type="module">
         // Global variables for data management
         let allCoursesData = []; // All rows from the CSV
+        let dataDiagnostics = []; // Rows rejected while parsing the CSV: { line, reason }
+        let dataQualityIssues = []; // Problems in loaded rows: { line, row, severity, check, field, value, message }
+        let datasetVersion = null; // Content hash of allCoursesData, used to detect revised offering files
         let uniqueCourses = []; // List of unique courses (Formal Code + Title)
         let uniquePrograms = []; // List of unique programs for filtering (View 1)
+        let coursePairs = new Map(); // courseKey -> partner courseKey for theory/lab co-requisites (both directions)
+        let pairingRule = 'none'; // 'none', 'section' or 'faculty': what a theory/lab pair's sections must share
+        let pairPrompt = null; // { courseKey, partnerKey } offered after selecting half of a pair (View 1)
+        let prerequisiteGraph = {}; // PREREQUISITES_URL "programs": { Program: { Formal Code: { term, prerequisites: [Formal Code] } } }
+        let completedCourses = new Set(); // Formal Codes the student has already passed
+        let courseSortOrder = 'code'; // 'code' or 'recommended' (View 1)
+        let courseSearchIndex = new Map(); // courseKey -> searchable fields, built when data loads
+        let courseSearchMatches = new Map(); // courseKey -> match details for the current search (View 1)
+        let courseListActiveIndex = -1; // Keyboard-highlighted card in the course list (View 1)
+        let renderedCourseKeys = []; // Course keys in the order they are listed (View 1)
+        let lastCourseSearchTerm = '';
+        let courseSearchTimer = null; // Pending re-filter of the course list, see scheduleCourseSearch()
+        let facultyDirectory = []; // Instructors reconciled by name, see buildFacultyDirectory()
+        let selectedFacultyId = null; // Instructor shown in the faculty browser
+        let browserReturnView = 'courseSelection'; // View the browser views' (BROWSER_VIEWS) Back button returns to
+        let roomOccupancy = new Map(); // Room id -> meetings booked there, see buildRoomOccupancy()
+        let selectedRoomId = null; // Room whose timetable is shown in the room explorer
+        let previousDataset = null; // { name, rows, selectedSections } of the offerings replaced by the last load
+        let offeringDiffBase = null; // { name, rows, selectedSections } the offering diff compares the loaded data against
+        let roomDirectory = { defaultBuilding: 'Main', rooms: {} }; // Named-room locations from ROOMS_CONFIG_URL
+        let creditLoadRules = { default: {}, programs: {} }; // Registration limits from CREDIT_RULES_URL; none until loaded
+        let travelWarningsEnabled = true; // Flag tight transitions between distant rooms (View 2)
         
         let selectedCoursesForAssignment = new Set(); // Course keys selected in View 1
         let selectedSections = {}; // {courseKey: sectionData} - Selections made in View 2
+        let scheduleDrafts = []; // Named plans: { id, name, selectedCourseKeys, selectedSections, savedAt }
+        let activeDraftId = null; // Draft kept in sync with the live selections, if any
 
-        let viewState = 'courseSelection'; // 'courseSelection' or 'sectionAssignment'
+        let viewState = 'courseSelection'; // 'courseSelection', 'sectionAssignment', 'scheduleGeneration', 'draftComparison', 'facultyBrowser', 'roomExplorer', 'offeringDiff' or 'dataSource'
         let currentView2CourseKey = null; // Key of the course currently displayed in the Section list panel
-        let currentFilters = { faculty: [], time: [] }; // Stores multi-select filter state for View 2
+        let courseFilters = {}; // courseKey -> filter state (see createEmptyFilters), kept while switching courses
+        let currentFilters = createEmptyFilters(); // Filter state of the course shown in View 2 (an entry of courseFilters)
+
+        let busyBlocks = []; // Personal commitments treated like sections: { id, day, start, end, label } in minutes
+        let fixSuggestions = null; // { courseKey, suggestions } for the summary card whose "Suggest fixes" was clicked
+        let generatedSchedules = []; // Conflict-free timetables found by the generator (View 3)
+        let generatorTruncated = false; // True when timetables beyond the MAX_RANKED_SCHEDULES kept may exist
+        let generatorPage = 0; // Current page in the generated schedules list
+        let schedulePreferences = { // Weighted ranking criteria for generated schedules (0 weight = ignored)
+            earlyStart: 591, // Minutes from midnight; classes starting before this are penalised (09:51 AM)
+            earlyWeight: 3,
+            gapWeight: 2,
+            freeDayWeight: 5,
+            facultyWeight: 4,
+            preferredFaculty: [], // Faculty Initials
+            avoidedFaculty: []
+        };
 
         // --- Time Slot Configuration ---
         const THEORY_SLOTS = [
@@ -121,6 +346,25 @@
         // Combine and unique time slots for filter generation
         const ALL_UNIQUE_TIME_SLOTS = [...new Set([...THEORY_SLOTS, ...LAB_SLOTS])].sort();
 
+        // --- Schedule Generator Configuration ---
+        const MAX_RANKED_SCHEDULES = 1000; // Best-scoring timetables kept for paging; every timetable is still scored
+        const SCHEDULES_PER_PAGE = 5;
+        const FREE_DAY_CANDIDATES = ["Sat", "Sun", "Tue", "Wed"]; // Days that count towards "full days off"
+        const MAX_FIX_CHANGES = 2; // Largest number of section swaps a conflict fix may propose
+        const MAX_FIX_SUGGESTIONS = 5;
+
+        // --- Travel Time Between Rooms ---
+        // Minutes a student needs to change rooms; compared against the gap between back-to-back classes.
+        const TRAVEL_MINUTES = {
+            roomChange: 1, // Any different room, same or adjacent floor
+            perExtraFloor: 1, // Each floor beyond the first
+            buildingChange: 10 // Walking to another building
+        };
+        const TRAVEL_CHECK_WINDOW = 30; // Gaps longer than this are never tight
+
+        const BUSY_DRAW_SNAP_MINUTES = 15; // Blocks drawn on the timetable snap to this grid
+        const BUSY_BLOCK_COLOR = { background: '#edf2f7', border: '#718096', text: '#2d3748' }; // gray
+
         // --- Utility Functions for Time & Conflict Checking (Unchanged) ---
 
         /** Parses time string into minutes from midnight. */
@@ -158,30 +402,44 @@
         }
 
         /** Converts a Time slot string into a schedule object. */
-        function parseScheduleSlot(day, timeSlot) {
+        function parseScheduleSlot(day, timeSlot, room, slotName) {
             const { start, end } = parseTimeRange(timeSlot);
             if (start === -1 || end === -1 || !day) return [];
 
-            return [{ day, start, end }];
+            return [{ day, start, end, room: room || '', slot: slotName || '' }];
         }
 
-        /** Gets all schedule slots for a given section data row. */
+        /**
+         * Gets all schedule slots for a given section data row. A second meeting that repeats
+         * the first (same day and times, e.g. Wed/Wed) is dropped, so it is counted once.
+         */
         function getSectionSchedule(sectionData) {
             let schedule = [];
-            schedule = schedule.concat(parseScheduleSlot(sectionData['Day1'], sectionData['Time1']));
-            schedule = schedule.concat(parseScheduleSlot(sectionData['Day2'], sectionData['Time2']));
-            return schedule;
+            schedule = schedule.concat(parseScheduleSlot(sectionData['Day1'], sectionData['Time1'], sectionData['Room1'], 'Time1'));
+            schedule = schedule.concat(parseScheduleSlot(sectionData['Day2'], sectionData['Time2'], sectionData['Room2'], 'Time2'));
+            return schedule.filter((slot, index) =>
+                schedule.findIndex(other => other.day === slot.day && other.start === slot.start && other.end === slot.end) === index
+            );
         }
 
         /**
-         * Checks if adding a new section conflicts with any existing selected section.
+         * Finds every clash between a new section and the existing selections, including the
+         * student's busy blocks unless includeBusyBlocks is false.
+         * A row that repeats the same meeting (e.g. Wed/Wed) reports it once.
+         * @returns {Array<{ section, day, start, end, slot, otherSlot }>} start/end is the overlapping
+         *          minute range; slot/otherSlot name the meeting ('Time1'/'Time2') on each side.
          */
-        function findConflict(newSectionData, currentSelections) {
+        function findAllConflicts(newSectionData, currentSelections, includeBusyBlocks = true) {
             const newSchedule = getSectionSchedule(newSectionData);
             const newCourseKey = getCourseKey(newSectionData);
-
-            for (const key in currentSelections) {
-                const existingSectionData = currentSelections[key];
+            const conflicts = [];
+            const seen = new Set();
+            const selections = includeBusyBlocks && !newSectionData.isBusyBlock
+                ? { ...currentSelections, ...getBusyBlockSections() }
+                : currentSelections;
+
+            for (const key in selections) {
+                const existingSectionData = selections[key];
                 // Crucial: Skip checking against a selection from the *same* course (since it's a replacement)
                 if (key === newCourseKey) continue;
 
@@ -189,15 +447,38 @@
 
                 for (const newSlot of newSchedule) {
                     for (const existingSlot of existingSchedule) {
-                        if (newSlot.day === existingSlot.day) {
-                            if (checkOverlap(newSlot.start, newSlot.end, existingSlot.start, existingSlot.end)) {
-                                return existingSectionData; // Found a conflict
-                            }
-                        }
+                        if (newSlot.day !== existingSlot.day) continue;
+                        if (!checkOverlap(newSlot.start, newSlot.end, existingSlot.start, existingSlot.end)) continue;
+
+                        const start = Math.max(newSlot.start, existingSlot.start);
+                        const end = Math.min(newSlot.end, existingSlot.end);
+                        const id = `${key}|${newSlot.day}|${start}|${end}`;
+                        if (seen.has(id)) continue;
+                        seen.add(id);
+
+                        conflicts.push({ section: existingSectionData, day: newSlot.day, start, end, slot: newSlot.slot, otherSlot: existingSlot.slot });
                     }
                 }
             }
-            return null; // No conflict found
+            return conflicts;
+        }
+
+        /**
+         * Checks if adding a new section conflicts with any existing selected section.
+         * Returns the first clashing section, or null; use findAllConflicts() for the details.
+         */
+        function findConflict(newSectionData, currentSelections) {
+            const conflicts = findAllConflicts(newSectionData, currentSelections);
+            return conflicts.length > 0 ? conflicts[0].section : null;
+        }
+
+        /** Formats one clash as "CSE 2215 - A: Sat 09:51:AM-10:30:AM (Time1 vs Time2)". */
+        function describeConflict(conflict) {
+            if (conflict.section.isBusyBlock) {
+                return `Busy (${conflict.section['Title']}): ${conflict.day} ${timeSlotToString(conflict.start)}-${timeSlotToString(conflict.end)}`;
+            }
+            return `${conflict.section['Formal Code']} - ${conflict.section['Section']}: ` +
+                `${conflict.day} ${timeSlotToString(conflict.start)}-${timeSlotToString(conflict.end)} (${conflict.slot} vs ${conflict.otherSlot})`;
         }
 
         /** Converts minutes (e.g., 510) back to HH:MM:AM/PM (e.g., 08:30:AM) for comparison. */
@@ -220,718 +501,5880 @@
 
         // --- Core Data & Rendering Functions ---
 
-        /** Parses CSV text into an array of objects. */
+        /**
+         * Splits CSV text into records of raw field values following RFC 4180:
+         * quoted fields may contain commas, line breaks and doubled ("") quotes,
+         * and records may end in CRLF, LF or CR. A leading byte-order mark is ignored.
+         * @returns {{records: {line: number, values: string[]}[], errors: {line: number, reason: string}[]}}
+         */
+        function tokenizeCSV(csvText) {
+            const text = csvText.charCodeAt(0) === 0xFEFF ? csvText.slice(1) : csvText;
+            const records = [];
+            const errors = [];
+
+            let values = [];
+            let field = '';
+            let inQuotes = false;
+            let fieldWasQuoted = false;
+            let malformed = null; // Reason the current record is invalid, if any
+            let line = 1; // Physical line currently being read
+            let recordLine = 1; // Physical line the current record started on
+
+            const endField = () => {
+                values.push(fieldWasQuoted ? field : field.trim());
+                field = '';
+                fieldWasQuoted = false;
+            };
+            const endRecord = () => {
+                endField();
+                if (malformed) {
+                    errors.push({ line: recordLine, reason: malformed });
+                } else if (!(values.length === 1 && values[0] === '')) { // Ignore completely empty lines
+                    records.push({ line: recordLine, values });
+                }
+                values = [];
+                malformed = null;
+            };
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (inQuotes) {
+                    if (char === '"') {
+                        if (text[i + 1] === '"') {
+                            field += '"'; // Escaped quote
+                            i++;
+                        } else {
+                            inQuotes = false;
+                        }
+                    } else {
+                        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                        field += char;
+                    }
+                    continue;
+                }
+
+                if (char === '"') {
+                    if (field.trim() === '' && !fieldWasQuoted) {
+                        inQuotes = true;
+                        fieldWasQuoted = true;
+                        field = '';
+                    } else if (!malformed) {
+                        malformed = `Unexpected quote in field ${values.length + 1}`;
+                    }
+                } else if (char === ',') {
+                    endField();
+                } else if (char === '\r' || char === '\n') {
+                    if (char === '\r' && text[i + 1] === '\n') i++;
+                    endRecord();
+                    line++;
+                    recordLine = line;
+                } else if (fieldWasQuoted) {
+                    // Only whitespace may follow a closing quote before the next delimiter
+                    if (char.trim() !== '' && !malformed) {
+                        malformed = `Unexpected text after closing quote in field ${values.length + 1}`;
+                    }
+                } else {
+                    field += char;
+                }
+            }
+
+            if (inQuotes) {
+                errors.push({ line: recordLine, reason: 'Unterminated quoted field' });
+            } else if (field !== '' || values.length > 0) {
+                endRecord();
+            }
+            return { records, errors };
+        }
+
+        /**
+         * Parses CSV text into an array of objects keyed by the header row.
+         * Rejected rows are reported in diagnostics instead of being dropped silently.
+         * @returns {{headers: string[], data: object[], lines: number[], diagnostics: {line: number, reason: string}[]}}
+         *          lines[i] is the line data[i] started on.
+         */
         function parseCSV(csvText) {
-            const lines = csvText.trim().split('\n');
-            if (lines.length === 0) return [];
+            const { records, errors } = tokenizeCSV(csvText);
+            return recordsToRows(records, errors);
+        }
 
-            const headers = lines[0].split(',').map(h => h.trim());
+        /**
+         * Turns records ({ line, values }, the first one holding the headers) into header-keyed
+         * rows, reporting records that have the wrong number of fields or no values.
+         * @returns {{headers: string[], data: object[], lines: number[], diagnostics: {line: number, reason: string}[]}}
+         */
+        function recordsToRows(records, errors = []) {
+            const diagnostics = [...errors];
             const data = [];
+            const lines = [];
+            if (records.length === 0) return { headers: [], data, lines, diagnostics };
 
-            for (let i = 1; i < lines.length; i++) {
-                const values = lines[i].split(',').map(v => v.trim());
-                if (values.length !== headers.length) continue;
+            const headers = records[0].values;
+
+            for (let i = 1; i < records.length; i++) {
+                const { line, values } = records[i];
+                if (values.length !== headers.length) {
+                    diagnostics.push({ line, reason: `Expected ${headers.length} fields but found ${values.length}` });
+                    continue;
+                }
+                if (values.every(v => v === '')) {
+                    diagnostics.push({ line, reason: 'Row has no values' });
+                    continue;
+                }
 
                 const row = {};
                 headers.forEach((header, index) => {
                     row[header] = values[index];
                 });
                 data.push(row);
+                lines.push(line);
             }
-            return data;
+
+            diagnostics.sort((a, b) => a.line - b.line);
+            return { headers, data, lines, diagnostics };
         }
 
         /** Creates a unique key for a course based on its code and title. */
         function getCourseKey(courseData) {
             return `${courseData['Formal Code']}_${courseData['Title']}`;
         }
-        
-        /** Fetches course data from the CSV file and initializes the application. */
-        async function initializeData() {
-            try {
-                // Fetch the CSV file from the same directory
-                const response = await fetch('course_offerings.csv');
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                const csvText = await response.text();
-                allCoursesData = parseCSV(csvText);
-
-                if (allCoursesData.length === 0) {
-                     document.getElementById('app-container').innerHTML = '<div class="p-10 text-center bg-red-100 border border-red-400 text-red-700 rounded-xl">Error: Could not load or parse course data. The CSV file might be empty or missing headers.</div>';
-                     return;
-                }
-
-                const uniqueCourseMap = new Map();
-                const programSet = new Set();
-                programSet.add('All Programs');
-
-                allCoursesData.forEach(row => {
-                    const key = getCourseKey(row);
-                    // Store one representative row for the course
-                    if (!uniqueCourseMap.has(key)) {
-                        uniqueCourseMap.set(key, {
-                            'Formal Code': row['Formal Code'],
-                            'Title': row['Title'],
-                            'Program': row['Program'],
-                            'Cr.': row['Cr.'],
-                            key: key
-                        });
-                        programSet.add(row['Program']);
-                    }
-                });
-
-                uniqueCourses = Array.from(uniqueCourseMap.values());
-                uniquePrograms = Array.from(programSet).sort();
 
-                // Start rendering the app after data is loaded and processed
-                renderApp();
+        /** Escapes text for use inside HTML markup or a quoted attribute. */
+        function escapeHTML(text) {
+            return String(text === null || text === undefined ? '' : text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
 
-            } catch (error) {
-                console.error("Failed to fetch course data:", error);
-                document.getElementById('app-container').innerHTML = `<div class="p-10 text-center bg-red-100 border border-red-400 text-red-700 rounded-xl">Error loading data: ${error.message}. Make sure 'course_offerings.csv' is in the same directory.</div>`;
-            }
+        /** Total credits of a list of sections; a missing "Cr." counts as 0. */
+        function sumCredits(sections) {
+            return sections.reduce((sum, section) => sum + parseInt(section['Cr.'] || '0', 10), 0);
         }
+        
+        // --- Column Schema Mapping ---
 
+        /**
+         * Internal section model. Every loaded row is normalized to these field names,
+         * whatever the offering file calls its columns. Aliases are compared after
+         * normalizeHeader(), so "Day 1", "day1" and "DAY-1" are all the same alias.
+         */
+        const SECTION_FIELDS = [
+            { field: 'Program', label: 'Program', required: false, aliases: ['Program', 'Department', 'Dept'] },
+            { field: 'Formal Code', label: 'Course Code', required: true, aliases: ['Formal Code', 'Code', 'Course Code', 'Course'] },
+            { field: 'Title', label: 'Course Title', required: true, aliases: ['Title', 'Course Title', 'Course Name'] },
+            { field: 'Section', label: 'Section', required: true, aliases: ['Section', 'Sec'] },
+            { field: 'Room1', label: 'Room (1st meeting)', required: false, aliases: ['Room1', 'Room'] },
+            { field: 'Room2', label: 'Room (2nd meeting)', required: false, aliases: ['Room2'] },
+            { field: 'Day1', label: 'Day (1st meeting)', required: true, aliases: ['Day1', 'Day'] },
+            { field: 'Day2', label: 'Day (2nd meeting)', required: false, aliases: ['Day2'] },
+            { field: 'Time1', label: 'Time (1st meeting)', required: true, aliases: ['Time1', 'Time'] },
+            { field: 'Time2', label: 'Time (2nd meeting)', required: false, aliases: ['Time2'] },
+            { field: 'Faculty Full Name', label: 'Faculty Name', required: false, aliases: ['Faculty Full Name', 'Faculty', 'Faculty Name', 'Instructor'] },
+            { field: 'Initial', label: 'Faculty Initial', required: false, aliases: ['Initial', 'Faculty Initial', 'Initials'] },
+            { field: 'Cr.', label: 'Credits', required: false, aliases: ['Cr.', 'Cr', 'Credits', 'Credit'] }
+        ];
 
-        // --- View Management ---
+        const COLUMN_MAPPING_STORAGE_KEY = 'columnMappings'; // localStorage key for manually mapped header sets
 
-        /** Renders the entire application based on the current viewState. */
-        function renderApp() {
-            const container = document.getElementById('app-container');
-            container.innerHTML = ''; // Clear previous view (including loading indicator)
+        let pendingImport = null; // { headers, data, lines, diagnostics } awaiting a manual column mapping
 
-            if (viewState === 'courseSelection') {
-                container.innerHTML = `
-                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
-                        <!-- 1. Course Selection Panel (Phase 1) -->
-                        <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg h-full overflow-hidden">
-                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">1. Select Courses for Assignment</h2>
+        /** Lower-cases a header and strips everything except letters and digits. */
+        function normalizeHeader(header) {
+            return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+        }
 
-                            <!-- Filtering and Search Controls -->
-                            <div class="flex flex-col sm:flex-row gap-4 mb-4">
-                                <input type="text" id="course-search" placeholder="Search by Code or Title..."
-                                    oninput="filterAndRenderCourses()"
-                                    class="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500">
+        /**
+         * Matches file headers to the internal section model.
+         * Manually saved mappings for the exact same header set take priority over aliases.
+         * @returns {{mapping: object, missing: string[]}} mapping is field -> header (or null).
+         */
+        function detectColumnMapping(headers) {
+            const saved = loadSavedColumnMappings()[headers.join('|')];
+            if (saved) {
+                return { mapping: saved, missing: SECTION_FIELDS.filter(f => f.required && !saved[f.field]).map(f => f.field) };
+            }
 
-                                <select id="program-filter" onchange="filterAndRenderCourses()"
-                                    class="p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500">
-                                    <!-- Options populated by JS -->
-                                </select>
-                            </div>
+            const mapping = {};
+            const used = new Set();
+            SECTION_FIELDS.forEach(({ field, aliases }) => {
+                const aliasSet = aliases.map(normalizeHeader);
+                const header = headers.find(h => !used.has(h) && aliasSet.includes(normalizeHeader(h)));
+                mapping[field] = header || null;
+                if (header) used.add(header);
+            });
 
-                            <div id="course-list-selection" class="space-y-3 h-[60vh] lg:h-[70vh] custom-scroll overflow-y-auto pr-2">
-                                <!-- Filtered course cards will be rendered here -->
-                            </div>
-                        </div>
+            const missing = SECTION_FIELDS.filter(f => f.required && !mapping[f.field]).map(f => f.field);
+            return { mapping, missing };
+        }
 
-                        <!-- 2. Action Panel (Phase 1 Right) -->
-                        <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg h-full">
-                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Selected Courses</h2>
-                            <div id="pre-selected-summary" class="space-y-3 h-[60vh] lg:h-[70vh] custom-scroll overflow-y-auto pr-2 mb-4">
-                                <p class="text-center text-gray-500">No courses selected yet.</p>
-                            </div>
+        /** Converts raw CSV rows into the internal section model using a field -> header mapping. */
+        function normalizeRows(rows, mapping) {
+            return rows.map(row => {
+                const section = {};
+                SECTION_FIELDS.forEach(({ field }) => {
+                    const header = mapping[field];
+                    section[field] = header && row[header] !== undefined ? row[header] : '';
+                });
+                return section;
+            });
+        }
 
-                            <button onclick="changeView('sectionAssignment')"
-                                class="w-full py-3 px-4 rounded-xl bg-indigo-600 text-white font-semibold shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-gray-400"
-                                id="go-to-assignment-btn" disabled>
-                                Go to Section Assignment (0)
-                            </button>
-                        </div>
-                    </div>
-                `;
-                populateProgramFilter();
-                filterAndRenderCourses();
+        /** Reads manually confirmed mappings, keyed by the file's header row. */
+        function loadSavedColumnMappings() {
+            try {
+                return JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY)) || {};
+            } catch (error) {
+                return {};
+            }
+        }
 
-            } else if (viewState === 'sectionAssignment') {
-                container.innerHTML = `
-                    <div class="flex justify-start mb-6">
-                        <button onclick="changeView('courseSelection')"
-                            class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
-                            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
-                            Back to Course Selection
-                        </button>
-                    </div>
+        /** Remembers a manual mapping so the same export format loads automatically next time. */
+        function saveColumnMapping(headers, mapping) {
+            const saved = loadSavedColumnMappings();
+            saved[headers.join('|')] = mapping;
+            try {
+                localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(saved));
+            } catch (error) {
+                console.error("Failed to save column mapping:", error);
+            }
+        }
 
-                    <!-- 1. Assigned Courses List (Top, Full Width, Horizontal Scrollable) -->
-                    <div class="bg-white p-4 rounded-xl shadow-lg mb-8 overflow-hidden">
-                        <h2 class="text-xl font-bold text-gray-800 mb-3 border-b pb-2">1. Courses to Assign (Select a course to view sections)</h2>
-                        <div id="assignment-course-list" class="flex space-x-4 pb-2 custom-scroll overflow-x-auto">
-                            <!-- Horizontal course buttons will be rendered here -->
-                        </div>
+        /** Renders the manual column-mapping form for files whose headers were not recognised. */
+        function renderColumnMapping() {
+            const container = document.getElementById('app-container');
+            if (!pendingImport) return;
+
+            const { headers } = pendingImport;
+            const { mapping } = detectColumnMapping(headers);
+
+            container.innerHTML = `
+                <div class="bg-white p-6 rounded-xl shadow-lg max-w-3xl mx-auto">
+                    <h2 class="text-2xl font-bold text-gray-800 mb-2 border-b pb-2">Map Columns</h2>
+                    <p class="text-sm text-gray-600 mb-4">Some columns in this offering file were not recognised. Choose which column holds each field. Fields marked * are required.</p>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        ${SECTION_FIELDS.map(({ field, label, required }) => `
+                            <label class="block text-sm font-semibold text-gray-700">
+                                ${label}${required ? ' *' : ''}
+                                <select data-field="${field}" class="column-mapping-select mt-1 w-full p-2 border border-gray-300 rounded-lg bg-white font-normal">
+                                    <option value="">(not in file)</option>
+                                    ${headers.map(h => `<option value="${h}" ${mapping[field] === h ? 'selected' : ''}>${h}</option>`).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
                     </div>
+                    <p id="column-mapping-error" class="text-sm text-red-600 font-semibold mt-4 hidden"></p>
+                    <button onclick="applyColumnMapping()"
+                        class="mt-6 w-full py-3 px-4 rounded-xl bg-indigo-600 text-white font-semibold shadow-md hover:bg-indigo-700 transition duration-150">
+                        Apply Mapping
+                    </button>
+                </div>
+            `;
+        }
 
-                    <!-- Main Assignment Layout Grid (2 Columns below: 2/3 and 1/3 split) -->
-                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
-                        
-                        <!-- 2. Section Details Panel (Center, takes 2/3 space) -->
-                        <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg h-full overflow-hidden">
-                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">2. Available Sections</h2>
-                            <div id="selected-course-info" class="mb-4 text-gray-700 font-semibold">
-                                Select a course above to view sections.
-                            </div>
+        /** Reads the manual mapping form, validates required fields and finishes loading the data. */
+        window.applyColumnMapping = function() {
+            if (!pendingImport) return;
 
-                            <!-- Filtering Controls -->
-                            <div id="section-filters" class="mb-4 p-3 bg-gray-50 rounded-xl border border-gray-200 hidden">
-                                <p class="font-semibold text-sm mb-2 text-gray-700">Filter Sections:</p>
-                                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-                                    <!-- Faculty Filter -->
-                                    <div class="p-2 border border-gray-300 rounded-lg bg-white">
-                                        <label class="block text-xs font-semibold text-gray-600 mb-1">Faculty Filter (Multi-Select)</label>
-                                        <div id="faculty-filter-container" class="max-h-24 overflow-y-auto space-y-1">
-                                            <!-- Faculty checkboxes will be rendered here -->
-                                        </div>
-                                    </div>
-                                    
-                                    <!-- Time Slot Filter -->
-                                    <div class="p-2 border border-gray-300 rounded-lg bg-white">
-                                        <label class="block text-xs font-semibold text-gray-600 mb-1">Time Slot Filter (Multi-Select)</label>
-                                        <div id="time-filter-container" class="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto">
-                                            <!-- Time Slot checkboxes will be rendered here -->
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                            <!-- END Filtering Controls -->
+            const mapping = {};
+            document.querySelectorAll('.column-mapping-select').forEach(select => {
+                mapping[select.dataset.field] = select.value || null;
+            });
 
-                            <div id="section-list" class="space-y-4 h-[40vh] md:h-[50vh] custom-scroll overflow-y-auto pr-2">
-                                <!-- Section cards will be rendered here -->
-                            </div>
-                        </div>
+            const missing = SECTION_FIELDS.filter(f => f.required && !mapping[f.field]);
+            if (missing.length > 0) {
+                const errorElement = document.getElementById('column-mapping-error');
+                errorElement.textContent = `Please map: ${missing.map(f => f.label).join(', ')}`;
+                errorElement.classList.remove('hidden');
+                return;
+            }
 
-                        <!-- 3. Current Schedule Panel (Right, takes 1/3 space) -->
-                        <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg h-full overflow-hidden">
-                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2 flex items-center justify-between">
-                                3. My Schedule
-                                <span id="total-credits" class="text-sm font-normal bg-blue-100 text-blue-800 px-3 py-1 rounded-full">Credits: 0</span>
-                            </h2>
-                            <div id="schedule-summary" class="space-y-4 h-[70vh] custom-scroll overflow-y-auto pr-2">
-                                <p class="text-center text-gray-500">Your selected sections will appear here.</p>
-                            </div>
-                            <div id="conflict-message" class="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg hidden" role="alert">
-                                <p class="font-bold">TIME CONFLICT DETECTED!</p>
-                                <p class="text-sm">Please review your selections. You have overlapping class times.</p>
-                            </div>
-                        </div>
-                    </div>
-                `;
-                // Initial render for section assignment view
-                renderAssignmentCourseList();
-                renderScheduleSummary();
-                populateTimeSlotFilter(); // Static time slot filter initialization
+            const { headers, data, lines, diagnostics } = pendingImport;
+            saveColumnMapping(headers, mapping);
+            pendingImport = null;
+            loadCourseData(normalizeRows(data, mapping), diagnostics, lines);
+        }
+
+        /**
+         * Installs a parsed offering file: maps its columns to the internal model
+         * (asking the user when auto-detection fails) and then loads it.
+         */
+        function importParsedOfferings(parsed) {
+            const { mapping, missing } = detectColumnMapping(parsed.headers);
+            if (missing.length > 0) {
+                pendingImport = parsed;
+                renderColumnMapping();
+                return;
             }
+            loadCourseData(normalizeRows(parsed.data, mapping), parsed.diagnostics, parsed.lines);
         }
 
-        /** Changes the view state and re-renders the app. */
-        window.changeView = function(newView) {
-            viewState = newView;
-            // Clear current filters when leaving View 2
-            if (newView === 'courseSelection') {
-                currentFilters = { faculty: [], time: [] };
-                currentView2CourseKey = null;
+        /**
+         * Builds the course and program lists from normalized section rows and renders the app.
+         * @param {number[]} [lines] - Source line of each row, used in the data-quality report.
+         */
+        function loadCourseData(rows, diagnostics, lines = []) {
+            allCoursesData = rows;
+            dataDiagnostics = diagnostics;
+            dataQualityIssues = validateOfferingRows(rows, lines);
+
+            if (allCoursesData.length === 0) {
+                 datasetToCache = null; // Never let an unusable file replace the cached dataset
+                 renderDataLoadError('Could not parse any course data. The file might be empty or missing headers.');
+                 return;
             }
+            if (datasetToCache) {
+                cacheDataset(datasetToCache.parsed, datasetToCache.meta);
+                datasetToCache = null;
+            }
+
+            const uniqueCourseMap = new Map();
+            const programSet = new Set();
+            programSet.add('All Programs');
+
+            allCoursesData.forEach(row => {
+                const key = getCourseKey(row);
+                // Store one representative row for the course
+                if (!uniqueCourseMap.has(key)) {
+                    uniqueCourseMap.set(key, {
+                        'Formal Code': row['Formal Code'],
+                        'Title': row['Title'],
+                        'Program': row['Program'],
+                        'Cr.': row['Cr.'],
+                        key: key
+                    });
+                    programSet.add(row['Program']);
+                }
+            });
+
+            uniqueCourses = Array.from(uniqueCourseMap.values());
+            uniquePrograms = Array.from(programSet).sort();
+            datasetVersion = hashString(JSON.stringify(allCoursesData));
+            coursePairs = detectCoursePairs();
+            courseSearchIndex = buildCourseSearchIndex();
+            facultyDirectory = buildFacultyDirectory();
+            roomOccupancy = buildRoomOccupancy();
+
+            // Bring back the saved plan, checked against the (possibly revised) data
+            restoreSession();
+            // A shared link in the URL takes priority over the saved plan
+            applySharedPlanFromUrl();
+
+            // Start rendering the app after data is loaded and processed
             renderApp();
         }
 
+        // --- Data-Quality Validation ---
 
-        // --- View 1: Course Selection and Filtering (Unchanged Logic) ---
+        const DATA_QUALITY_CHECKS = { // Check id -> label used in the summary and report
+            time: 'Unparseable time',
+            day: 'Unknown day',
+            repeat: 'Repeated meeting',
+            credits: 'Non-numeric credits',
+            duplicate: 'Duplicate section',
+            labRoom: 'Lab room/slot mismatch'
+        };
+        const LAB_SLOT_MIN_MINUTES = 120; // Meetings at least this long are lab-length (labs run ~150 minutes)
 
-        /** Populates the program filter dropdown. */
-        function populateProgramFilter() {
-            const filter = document.getElementById('program-filter');
-            if (!filter) return;
-            filter.innerHTML = uniquePrograms.map(program =>
-                `<option value="${program}">${program}</option>`
-            ).join('');
-            filter.value = 'All Programs'; // Default selection
-        }
+        /**
+         * Checks every loaded row: times parse with timeToMinutes, days come from DAY_ORDER,
+         * credits are numeric, no (course, section) appears twice in a program, and lab rows
+         * sit in lab rooms with lab-length slots.
+         * Errors mean the app drops or misreads data; warnings are worth a look.
+         * @param {number[]} lines - Source line of each row; falls back to the row position.
+         * @returns {Array<{ line, row, severity: 'error'|'warning', check, field, value, message }>}
+         */
+        function validateOfferingRows(rows, lines) {
+            const issues = [];
+            const seenSections = new Map(); // Program|course|section -> first line
+            const isBlank = value => !value || !value.trim();
+
+            rows.forEach((row, index) => {
+                const line = lines[index] || index + 2; // +2: the header is line 1
+                const add = (severity, check, field, message) => {
+                    issues.push({ line, row, severity, check, field, value: row[field] || '', message });
+                };
+
+                ['1', '2'].forEach(n => {
+                    const day = row[`Day${n}`] || '';
+                    const time = row[`Time${n}`] || '';
+                    const hasTime = !isBlank(time) && time.trim() !== '-';
+
+                    if (hasTime) {
+                        const { start, end } = parseTimeRange(time);
+                        if (start === -1 || end === -1) {
+                            add('error', 'time', `Time${n}`, `Time${n} "${time}" is not in the "08:30:AM - 09:50:AM" format; this meeting is ignored.`);
+                        } else if (end <= start) {
+                            add('error', 'time', `Time${n}`, `Time${n} "${time}" ends before it starts.`);
+                        }
+                    } else if (!isBlank(day)) {
+                        add('warning', 'time', `Time${n}`, `Day${n} is ${day.trim()} but Time${n} is a placeholder; this meeting is ignored.`);
+                    }
 
-        /** Filters uniqueCourses based on search term and program selection. */
-        window.filterAndRenderCourses = function() {
-            const searchInput = document.getElementById('course-search');
-            const programFilter = document.getElementById('program-filter');
+                    if (!isBlank(day) && !DAY_ORDER.includes(day.trim())) {
+                        const looksLikeRoom = getRoomLocation(day) !== null || LAB_ROOM_PATTERN.test(day);
+                        add('error', 'day', `Day${n}`, looksLikeRoom
+                            ? `Day${n} "${day}" looks like a room; the columns may be shifted.`
+                            : `Day${n} "${day}" is not one of ${DAY_ORDER.join(', ')}.`);
+                    } else if (isBlank(day) && hasTime) {
+                        add('error', 'day', `Day${n}`, `Time${n} is set but Day${n} is blank; this meeting is ignored.`);
+                    }
+                });
 
-            const searchTerm = searchInput ? searchInput.value.toLowerCase() : '';
-            const selectedProgram = programFilter ? programFilter.value : 'All Programs';
+                if (isRepeatedMeeting(row)) {
+                    add('warning', 'repeat', 'Day2', `Meeting 2 repeats meeting 1 (${row['Day1']} ${row['Time1']}); it is counted once.`);
+                }
 
-            const filteredCourses = uniqueCourses.filter(course => {
-                const matchesSearch = course['Formal Code'].toLowerCase().includes(searchTerm) ||
-                                      course['Title'].toLowerCase().includes(searchTerm);
+                if (!/^\d+(\.\d+)?$/.test((row['Cr.'] || '').trim())) {
+                    add(isBlank(row['Cr.']) ? 'warning' : 'error', 'credits', 'Cr.', isBlank(row['Cr.'])
+                        ? 'Credits are blank; the section counts as 0 credits.'
+                        : `Credits "${row['Cr.']}" are not a number.`);
+                }
 
-                const matchesProgram = selectedProgram === 'All Programs' || course['Program'] === selectedProgram;
+                const sectionId = `${row['Program']}|${getCourseKey(row)}|${row['Section']}`;
+                if (seenSections.has(sectionId)) {
+                    add('error', 'duplicate', 'Section', `${row['Formal Code']} section ${row['Section']} is also listed on line ${seenSections.get(sectionId)}.`);
+                } else {
+                    seenSections.set(sectionId, line);
+                }
 
-                return matchesSearch && matchesProgram;
+                const isLabRow = LAB_TITLE_PATTERN.test(row['Title'] || '');
+                getSectionSchedule(row).forEach(slot => {
+                    const roomField = slot.slot.replace('Time', 'Room');
+                    const minutes = slot.end - slot.start;
+                    const inLabRoom = LAB_ROOM_PATTERN.test(slot.room);
+                    const isLabLength = minutes >= LAB_SLOT_MIN_MINUTES;
+                    if (isLabRow && !isLabLength) {
+                        add('warning', 'labRoom', slot.slot, `Lab course meets for only ${minutes} minutes in ${slot.slot}.`);
+                    } else if (isLabRow && !inLabRoom) {
+                        add('warning', 'labRoom', roomField, `Lab course is in room "${slot.room || 'blank'}", which is not a lab.`);
+                    } else if (!isLabRow && isLabLength && !inLabRoom) {
+                        add('warning', 'labRoom', roomField, `Lab-length ${slot.slot} (${minutes} minutes) is in room "${slot.room || 'blank'}", which is not a lab.`);
+                    }
+                });
             });
 
-            renderFilteredCourseList(filteredCourses);
+            return issues.sort((a, b) => a.line - b.line);
         }
 
-        /** Renders the list of filtered courses in View 1. */
-        function renderFilteredCourseList(courses) {
-            const listElement = document.getElementById('course-list-selection');
-            const summaryElement = document.getElementById('pre-selected-summary');
-            const goBtn = document.getElementById('go-to-assignment-btn');
-            if (!listElement || !summaryElement || !goBtn) return;
+        /** True when a row's second meeting is the same day and time as its first (e.g. Wed/Wed). */
+        function isRepeatedMeeting(row) {
+            return !!row['Day2'] && row['Day2'].trim() === (row['Day1'] || '').trim()
+                && (row['Time2'] || '').trim() === (row['Time1'] || '').trim();
+        }
 
-            // Sort courses by Formal Code for clarity
-            courses.sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code']));
+        /** Returns the data-quality errors found for one loaded row. */
+        function getRowDataErrors(row) {
+            return dataQualityIssues.filter(issue => issue.row === row && issue.severity === 'error');
+        }
 
-            listElement.innerHTML = '';
-            summaryElement.innerHTML = '';
+        /** Quotes a value for CSV output when it contains a comma, quote or line break. */
+        function toCSVField(value) {
+            const text = String(value === null || value === undefined ? '' : value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
 
-            let selectedCount = 0;
+        /** Builds the downloadable report: skipped rows first, then every validation issue. */
+        function buildDataQualityReport() {
+            const header = ['Line', 'Severity', 'Check', 'Course', 'Section', 'Field', 'Value', 'Problem'];
+            const skipped = dataDiagnostics.map(d => [d.line, 'skipped', 'Parse', '', '', '', '', d.reason]);
+            const issues = dataQualityIssues.map(issue => [
+                issue.line, issue.severity, DATA_QUALITY_CHECKS[issue.check],
+                issue.row['Formal Code'], issue.row['Section'], issue.field, issue.value, issue.message
+            ]);
+            return [header, ...skipped, ...issues].map(fields => fields.map(toCSVField).join(',')).join('\r\n') + '\r\n';
+        }
 
-            courses.forEach(course => {
-                const key = course.key;
-                const isSelected = selectedCoursesForAssignment.has(key);
+        /** Downloads the data-quality report for the loaded dataset as CSV. */
+        window.downloadDataQualityReport = function() {
+            const datasetName = currentDataset ? currentDataset.name.split(/[\\/]/).pop().replace(/\.[^.]*$/, '') : 'offerings';
+            downloadTextFile(`${datasetName}-data-quality.csv`, buildDataQualityReport(), 'text/csv;charset=utf-8');
+        }
 
-                // --- Render Course List Card ---
-                const card = document.createElement('div');
-                card.className = `w-full text-left p-3 rounded-xl border-2 cursor-pointer transition duration-150 ease-in-out flex justify-between items-center
-                                ${isSelected ? 'course-selected' : 'bg-white border-gray-200 hover:bg-gray-100'}`;
-                card.innerHTML = `
-                    <div>
-                        <div class="font-bold text-base text-gray-900">${course['Formal Code']} (${course['Cr.']} Cr.)</div>
-                        <div class="text-sm text-gray-600">${course['Title']}</div>
-                        <div class="text-xs font-medium text-indigo-500">${course['Program']}</div>
-                    </div>
-                `;
+        /** Renders the collapsible data-quality summary with per-check counts and the report download. */
+        function renderDataQuality() {
+            const panel = document.getElementById('data-quality');
+            if (!panel) return;
 
-                const checkbox = document.createElement('input');
-                checkbox.type = 'checkbox';
-                checkbox.checked = isSelected;
-                checkbox.className = 'w-5 h-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500';
-                checkbox.onclick = (e) => handleCourseToggle(key, e);
+            if (dataQualityIssues.length === 0) {
+                panel.classList.add('hidden');
+                return;
+            }
 
-                card.appendChild(checkbox);
-                listElement.appendChild(card);
+            const errors = dataQualityIssues.filter(issue => issue.severity === 'error').length;
+            const warnings = dataQualityIssues.length - errors;
+            const counts = Object.keys(DATA_QUALITY_CHECKS)
+                .map(check => [check, dataQualityIssues.filter(issue => issue.check === check).length])
+                .filter(([, count]) => count > 0);
+
+            panel.classList.remove('hidden');
+            panel.innerHTML = `
+                <div class="flex items-center justify-between gap-2">
+                    <div id="data-quality-toggle" class="flex items-center cursor-pointer">
+                        <p class="font-semibold text-sm text-orange-800">
+                            Data quality: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'} in the course data
+                        </p>
+                        <span id="data-quality-arrow" class="text-lg ml-2 text-orange-800">▶</span>
+                    </div>
+                    <button onclick="downloadDataQualityReport()"
+                        class="py-1 px-3 rounded-lg bg-white border border-orange-300 text-orange-800 text-xs font-semibold hover:bg-orange-100 transition duration-150">
+                        Download Report
+                    </button>
+                </div>
+                <div id="data-quality-content" class="hidden">
+                    <p class="text-xs text-orange-900 mt-2">${counts.map(([check, count]) => `${DATA_QUALITY_CHECKS[check]}: ${count}`).join(' · ')}</p>
+                    <ul class="mt-2 max-h-40 overflow-y-auto custom-scroll text-xs text-orange-900 space-y-1">
+                        ${dataQualityIssues.map(issue => `
+                            <li><strong>Line ${issue.line}${issue.severity === 'error' ? ' (error)' : ''}:</strong>
+                                ${escapeHTML(issue.row['Formal Code'])} ${escapeHTML(issue.row['Section'])} - ${escapeHTML(issue.message)}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
 
-                // --- Render Pre-Selected Summary ---
-                if (isSelected) {
-                    selectedCount++;
-                    const summaryItem = document.createElement('div');
-                    summaryItem.className = 'p-3 rounded-lg bg-indigo-50 text-indigo-800 border border-indigo-200 text-sm font-semibold';
-                    summaryItem.textContent = `${course['Formal Code']} - ${course['Title']}`;
-                    summaryElement.appendChild(summaryItem);
+            const content = document.getElementById('data-quality-content');
+            const arrow = document.getElementById('data-quality-arrow');
+            document.getElementById('data-quality-toggle').addEventListener('click', () => {
+                content.classList.toggle('hidden');
+                arrow.textContent = content.classList.contains('hidden') ? '▶' : '▼';
+            });
+        }
+
+        // --- Data Sources (Upload, URL, Bundled Default) & Offline Cache ---
+
+        const DEFAULT_DATASET_URL = 'course_offerings.csv';
+        const PREREQUISITES_URL = 'prerequisites.json'; // Prerequisite graph and recommended terms per program
+        const ROOMS_CONFIG_URL = 'rooms.json'; // Building/floor of rooms that have no number
+        const CREDIT_RULES_URL = 'credit-load-rules.json'; // Registration limits, with per-program overrides
+        const DATASET_DB_NAME = 'courseScheduler';
+        const DATASET_STORE_NAME = 'datasets';
+        const LAST_DATASET_KEY = 'lastUsed';
+
+        let currentDataset = null; // { name, source: 'default' | 'file' | 'url', loadedAt } of the loaded offerings
+        let datasetToCache = null; // { parsed, meta } of a newly installed dataset, cached once it loads successfully
+
+        /** Opens (and on first use creates) the IndexedDB database used for the offline dataset cache. */
+        function openDatasetDatabase() {
+            return new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
                 }
+                const request = indexedDB.open(DATASET_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(DATASET_STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
             });
+        }
 
-            if (selectedCount === 0) {
-                 summaryElement.innerHTML = '<p class="text-center text-gray-500">No courses selected yet.</p>';
+        /** Stores the parsed dataset so the app can start offline next time. */
+        async function cacheDataset(parsed, meta) {
+            try {
+                const db = await openDatasetDatabase();
+                await new Promise((resolve, reject) => {
+                    const tx = db.transaction(DATASET_STORE_NAME, 'readwrite');
+                    tx.objectStore(DATASET_STORE_NAME).put({ parsed, meta }, LAST_DATASET_KEY);
+                    tx.oncomplete = resolve;
+                    tx.onerror = () => reject(tx.error);
+                });
+                db.close();
+            } catch (error) {
+                console.error("Failed to cache dataset:", error);
             }
-
-            // Update button state and text
-            goBtn.disabled = selectedCount === 0;
-            goBtn.textContent = `Go to Section Assignment (${selectedCount})`;
         }
 
-        /** Handles course selection/deselection in View 1. */
-        function handleCourseToggle(courseKey, event) {
-            // Stop propagation to prevent card click event if we were using it
-            event.stopPropagation();
+        /** Reads the last-used dataset from IndexedDB, or null when there is none. */
+        async function loadCachedDataset() {
+            try {
+                const db = await openDatasetDatabase();
+                const cached = await new Promise((resolve, reject) => {
+                    const request = db.transaction(DATASET_STORE_NAME).objectStore(DATASET_STORE_NAME).get(LAST_DATASET_KEY);
+                    request.onsuccess = () => resolve(request.result || null);
+                    request.onerror = () => reject(request.error);
+                });
+                db.close();
+                return cached;
+            } catch (error) {
+                console.error("Failed to read cached dataset:", error);
+                return null;
+            }
+        }
 
-            if (selectedCoursesForAssignment.has(courseKey)) {
-                selectedCoursesForAssignment.delete(courseKey);
-                // Also remove section assignment if user decides to drop the course entirely
-                delete selectedSections[courseKey];
-            } else {
-                selectedCoursesForAssignment.add(courseKey);
+        /**
+         * Parses JSON offerings: either an array of row objects or an object with a
+         * "sections"/"data" array. Returns the same shape as parseCSV.
+         */
+        function parseJSONOfferings(jsonText) {
+            const json = JSON.parse(jsonText);
+            const listed = Array.isArray(json) ? json : (json.sections || json.data);
+            // A schedule exported by this page keys its sections by course
+            const rows = listed && typeof listed === 'object' && !Array.isArray(listed) ? Object.values(listed) : listed;
+            if (!Array.isArray(rows)) {
+                throw new Error('JSON must be an array of sections or contain a "sections" array or object');
             }
 
-            // Re-render the course list to update colors and the summary panel
-            filterAndRenderCourses();
+            const headers = [];
+            const data = [];
+            const lines = [];
+            const diagnostics = [];
+            rows.forEach((row, index) => {
+                if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                    diagnostics.push({ line: index + 1, reason: 'Entry is not an object' });
+                    return;
+                }
+                const normalized = {};
+                Object.keys(row).forEach(key => {
+                    if (!headers.includes(key)) headers.push(key);
+                    normalized[key] = row[key] === null || row[key] === undefined ? '' : String(row[key]).trim();
+                });
+                data.push(normalized);
+                lines.push(index + 1);
+            });
+            return { headers, data, lines, diagnostics };
         }
 
+        // --- XLSX Reading (ZIP + DecompressionStream, no third-party library) ---
 
-        // --- View 2: Section Assignment and Filtering (Unchanged Logic) ---
+        const ZIP_END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+        const ZIP_DIRECTORY_ENTRY_SIGNATURE = 0x02014b50;
+        const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+        const XLSX_DEFAULT_SHEET_PATH = 'xl/worksheets/sheet1.xml';
 
-        /** Updates the current filter state and re-renders sections. */
-        window.handleFilterChange = function(type, value, isChecked) {
-            // Update the array in currentFilters
-            if (isChecked) {
-                if (!currentFilters[type].includes(value)) {
-                    currentFilters[type].push(value);
+        /**
+         * Lists the files of a ZIP archive from its central directory.
+         * @returns {Map<string, { method: number, offset: number, compressedSize: number }>}
+         */
+        function readZipDirectory(bytes) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            let end = bytes.length - 22;
+            while (end >= 0 && view.getUint32(end, true) !== ZIP_END_OF_DIRECTORY_SIGNATURE) end--;
+            if (end < 0) throw new Error('The file is not a valid XLSX workbook');
+
+            const entries = new Map();
+            const count = view.getUint16(end + 10, true);
+            let position = view.getUint32(end + 16, true);
+            for (let i = 0; i < count; i++) {
+                if (view.getUint32(position, true) !== ZIP_DIRECTORY_ENTRY_SIGNATURE) {
+                    throw new Error('The XLSX workbook is damaged');
                 }
-            } else {
-                currentFilters[type] = currentFilters[type].filter(v => v !== value);
+                const nameLength = view.getUint16(position + 28, true);
+                const extraLength = view.getUint16(position + 30, true);
+                const commentLength = view.getUint16(position + 32, true);
+                const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+                entries.set(name, {
+                    method: view.getUint16(position + 10, true),
+                    compressedSize: view.getUint32(position + 20, true),
+                    offset: view.getUint32(position + 42, true)
+                });
+                position += 46 + nameLength + extraLength + commentLength;
             }
-            
-            // Trigger the re-render of sections
-            filterAndRenderSections();
+            return entries;
         }
 
-        /** Renders the time slot checkboxes. */
-        function populateTimeSlotFilter() {
-            const container = document.getElementById('time-filter-container');
-            if (!container) return;
+        /** Extracts one ZIP entry as text; deflated entries are inflated with DecompressionStream. */
+        async function readZipText(bytes, entry) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            if (view.getUint32(entry.offset, true) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+                throw new Error('The XLSX workbook is damaged');
+            }
+            const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+            const data = bytes.subarray(start, start + entry.compressedSize);
 
-            container.innerHTML = ''; // Clear previous content
+            if (entry.method === 0) return new TextDecoder().decode(data);
+            if (entry.method !== 8) throw new Error('The XLSX workbook uses an unsupported compression method');
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot read XLSX files. Save the sheet as CSV and load that instead');
+            }
+            return new Response(new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'))).text();
+        }
 
-            ALL_UNIQUE_TIME_SLOTS.forEach(slot => {
-                const isSelected = currentFilters.time.includes(slot);
-                const div = document.createElement('div');
-                div.className = 'flex items-start';
-                div.innerHTML = `
-                    <input id="time-${slot.replace(/\s/g, '_')}" type="checkbox" value="${slot}" 
-                        ${isSelected ? 'checked' : ''}
-                        onchange="handleFilterChange('time', this.value, this.checked)"
-                        class="mt-1 h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 cursor-pointer">
-                    <label for="time-${slot.replace(/\s/g, '_')}" class="ml-2 block text-xs text-gray-700 cursor-pointer">${slot}</label>
-                `;
-                container.appendChild(div);
-            });
+        /** Parses an XML part of the workbook. */
+        function parseXMLPart(text) {
+            return new DOMParser().parseFromString(text, 'application/xml');
         }
 
-        /** Dynamically renders the Faculty checkboxes for the selected course. */
-        function populateFacultyFilter(courseKey) {
-            const container = document.getElementById('faculty-filter-container');
-            if (!container) return;
+        /** Text of the <t> runs under a shared string or inline string, skipping phonetic hints (<rPh>). */
+        function readXLSXText(element) {
+            return Array.from(element.getElementsByTagNameNS('*', 't'))
+                .filter(t => !t.parentNode || t.parentNode.localName !== 'rPh')
+                .map(t => t.textContent)
+                .join('');
+        }
 
-            container.innerHTML = '';
-            
-            // 1. Get unique faculty for this specific course
-            const courseSections = allCoursesData.filter(row => getCourseKey(row) === courseKey);
-            const uniqueFaculty = {};
+        /** Zero-based column of a cell reference ("AB12" → 27), or -1 without one. */
+        function getCellColumnIndex(reference) {
+            const letters = (String(reference || '').match(/^[A-Z]+/i) || [''])[0].toUpperCase();
+            if (!letters) return -1;
+            return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+        }
 
-            courseSections.forEach(row => {
-                const initial = row['Initial'];
-                if (initial) {
-                    uniqueFaculty[initial] = row['Faculty Full Name'];
-                }
-            });
+        /** Finds the path of the workbook's first sheet, falling back to the usual sheet1.xml. */
+        async function findFirstSheetPath(bytes, entries) {
+            const workbookEntry = entries.get('xl/workbook.xml');
+            const relationsEntry = entries.get('xl/_rels/workbook.xml.rels');
+            if (!workbookEntry || !relationsEntry) return XLSX_DEFAULT_SHEET_PATH;
+
+            const sheet = parseXMLPart(await readZipText(bytes, workbookEntry)).getElementsByTagNameNS('*', 'sheet')[0];
+            const relationId = sheet && Array.from(sheet.attributes).find(attribute => attribute.localName === 'id' && attribute.prefix);
+            if (!relationId) return XLSX_DEFAULT_SHEET_PATH;
+
+            const relation = Array.from(parseXMLPart(await readZipText(bytes, relationsEntry)).getElementsByTagNameNS('*', 'Relationship'))
+                .find(element => element.getAttribute('Id') === relationId.value);
+            const target = relation ? relation.getAttribute('Target') : '';
+            if (!target) return XLSX_DEFAULT_SHEET_PATH;
+            return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
 
-            const sortedInitials = Object.keys(uniqueFaculty).sort();
+        /**
+         * Reads the first sheet of an XLSX workbook into the same shape as parseCSV().
+         * Line numbers are the sheet's row numbers; cells are read as displayed text
+         * for strings and as the stored value for numbers.
+         */
+        async function parseXLSXOfferings(arrayBuffer) {
+            const bytes = new Uint8Array(arrayBuffer);
+            const entries = readZipDirectory(bytes);
+
+            const sharedStringsEntry = entries.get('xl/sharedStrings.xml');
+            const sharedStrings = sharedStringsEntry
+                ? Array.from(parseXMLPart(await readZipText(bytes, sharedStringsEntry)).getElementsByTagNameNS('*', 'si')).map(readXLSXText)
+                : [];
+
+            const sheetEntry = entries.get(await findFirstSheetPath(bytes, entries));
+            if (!sheetEntry) throw new Error('The XLSX workbook has no worksheet');
+            const sheet = parseXMLPart(await readZipText(bytes, sheetEntry));
+
+            const records = [];
+            Array.from(sheet.getElementsByTagNameNS('*', 'row')).forEach(rowElement => {
+                const line = parseInt(rowElement.getAttribute('r'), 10) || (records.length > 0 ? records[records.length - 1].line + 1 : 1);
+                const values = [];
+                Array.from(rowElement.getElementsByTagNameNS('*', 'c')).forEach(cell => {
+                    const column = getCellColumnIndex(cell.getAttribute('r'));
+                    const valueElement = cell.getElementsByTagNameNS('*', 'v')[0];
+                    const raw = valueElement ? valueElement.textContent : '';
+                    const type = cell.getAttribute('t');
+
+                    let value = raw;
+                    if (type === 's') value = sharedStrings[parseInt(raw, 10)] || '';
+                    else if (type === 'inlineStr') value = readXLSXText(cell);
+                    else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+
+                    const index = column === -1 ? values.length : column;
+                    while (values.length < index) values.push('');
+                    values[index] = value.trim(); // Like unquoted CSV fields
+                });
+                records.push({ line, values });
+            });
 
-            if (sortedInitials.length === 0) {
-                container.innerHTML = '<p class="text-xs text-gray-500">No faculty assigned.</p>';
-                // Reset faculty filter when changing course
-                currentFilters.faculty = [];
-                return;
-            }
-            
-            // 2. Render Checkboxes
-            sortedInitials.forEach(initial => {
-                const fullName = uniqueFaculty[initial];
-                const isSelected = currentFilters.faculty.includes(initial);
-                
-                const div = document.createElement('div');
-                div.className = 'flex items-center';
-                div.innerHTML = `
-                    <input id="faculty-${initial}" type="checkbox" value="${initial}"
-                        ${isSelected ? 'checked' : ''}
-                        onchange="handleFilterChange('faculty', this.value, this.checked)"
-                        class="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 cursor-pointer">
-                    <label for="faculty-${initial}" class="ml-2 block text-sm text-gray-700 cursor-pointer truncate" title="${fullName}">${fullName} (${initial})</label>
-                `;
-                container.appendChild(div);
+            // Sheets leave out trailing blank cells, so pad each row to the header width
+            const width = records.length > 0 ? records[0].values.length : 0;
+            records.forEach(record => {
+                while (record.values.length < width) record.values.push('');
             });
+            return recordsToRows(records);
         }
 
-        /** Helper to check if a course time slot matches any of the selected filter slots. */
-        function timeSlotMatchesFilter(sectionData, selectedTimeSlots) {
-            if (selectedTimeSlots.length === 0) return true; // No filter applied
+        /** Picks a parser from the file name (or URL) extension. Defaults to CSV. Legacy .xls files are rejected. */
+        function getOfferingFormat(name) {
+            const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+            if (extension === 'xls') {
+                throw new Error('Legacy .xls files are not supported. Save the sheet as .xlsx or CSV and load that instead');
+            }
+            if (extension === 'xlsx') return 'xlsx';
+            return extension === 'json' ? 'json' : 'csv';
+        }
 
-            const schedule = getSectionSchedule(sectionData);
+        /** Parses offerings text in the given format ('csv' or 'json'). */
+        function parseOfferingText(text, format) {
+            return format === 'json' ? parseJSONOfferings(text) : parseCSV(text);
+        }
 
-            for (const slot of schedule) {
-                if (slot.start !== -1 && slot.end !== -1) {
-                    const courseTimeRangeStr = `${timeSlotToString(slot.start)} - ${timeSlotToString(slot.end)}`;
-                    
-                    // The time slot needs to be an exact match to one of the predefined filter slots
-                    if (selectedTimeSlots.includes(courseTimeRangeStr)) {
-                        return true;
-                    }
-                }
+        /**
+         * Parses and installs a new dataset. It is cached for offline use only once
+         * loadCourseData() has accepted it (after any manual column mapping).
+         * The current plan is kept and reconciled against the new data by restoreSession().
+         */
+        async function installDataset(parsed, meta) {
+            if (allCoursesData.length > 0) {
+                // Keep the replaced offerings (and the plan made on them) for the offering diff
+                previousDataset = { name: currentDataset ? currentDataset.name : 'previous offerings', rows: allCoursesData, selectedSections: { ...selectedSections } };
+                offeringDiffBase = previousDataset;
             }
-            
-            return false;
+            currentDataset = { ...meta, loadedAt: new Date().toISOString() };
+            viewState = 'courseSelection';
+
+            datasetToCache = { parsed, meta: currentDataset };
+            importParsedOfferings(parsed);
         }
 
-        /** Filters and renders sections for the currently selected course in View 2. */
-        window.filterAndRenderSections = function() {
-            const listElement = document.getElementById('section-list');
-            const filterContainer = document.getElementById('section-filters');
-            const courseKey = currentView2CourseKey; // Use globally stored active key
+        /** Parses a user-selected File (CSV, JSON or XLSX) without installing it. */
+        async function parseOfferingFile(file) {
+            const format = getOfferingFormat(file.name);
+            if (format === 'xlsx') return parseXLSXOfferings(await file.arrayBuffer());
+            return parseOfferingText(await file.text(), format);
+        }
 
-            if (!courseKey || !listElement || !filterContainer) {
-                listElement.innerHTML = '<p class="text-center text-gray-500 mt-4">Select a course to view available sections.</p>';
-                filterContainer.classList.add('hidden');
-                return;
+        /** Loads offerings from a user-selected File (CSV, JSON or XLSX). */
+        async function loadDatasetFromFile(file) {
+            await installDataset(await parseOfferingFile(file), { name: file.name, source: 'file' });
+        }
+
+        /** Fetches offerings from a URL; the bundled default is just a relative URL. */
+        async function loadDatasetFromUrl(url, source) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
-            
-            filterContainer.classList.remove('hidden');
+            const format = getOfferingFormat(url);
+            const parsed = format === 'xlsx'
+                ? await parseXLSXOfferings(await response.arrayBuffer())
+                : parseOfferingText(await response.text(), format);
+            await installDataset(parsed, { name: url, source });
+        }
 
-            // 1. Get all sections for the course
-            let filteredSections = allCoursesData.filter(row => getCourseKey(row) === courseKey);
+        /**
+         * Renders a full-width load error with a way back to the data source picker.
+         * @param {string} message - HTML; callers escape file names, URLs and error text.
+         */
+        function renderDataLoadError(message) {
+            document.getElementById('app-container').innerHTML = `
+                <div class="p-10 text-center bg-red-100 border border-red-400 text-red-700 rounded-xl">
+                    <p>Error loading data: ${message}</p>
+                    <button onclick="changeView('dataSource')"
+                        class="mt-4 py-2 px-4 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition duration-150">
+                        Choose a Data Source
+                    </button>
+                </div>
+            `;
+        }
+
+        /** Attaches drag-and-drop and file input listeners for the data source picker. */
+        function setupDataSourcePicker() {
+            const dropZone = document.getElementById('dataset-drop-zone');
+            const fileInput = document.getElementById('dataset-file-input');
+            if (!dropZone || !fileInput) return;
+
+            const handleFile = async (file) => {
+                if (!file) return;
+                try {
+                    await loadDatasetFromFile(file);
+                } catch (error) {
+                    console.error("Failed to load file:", error);
+                    renderDataLoadError(`${escapeHTML(error.message)} (${escapeHTML(file.name)})`);
+                }
+            };
 
-            // 2. Apply Filters
+            dropZone.addEventListener('click', () => fileInput.click());
+            dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dropZone.classList.add('bg-indigo-50', 'border-indigo-500');
+            });
+            dropZone.addEventListener('dragleave', () => {
+                dropZone.classList.remove('bg-indigo-50', 'border-indigo-500');
+            });
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('bg-indigo-50', 'border-indigo-500');
+                handleFile(e.dataTransfer.files[0]);
+            });
+            fileInput.addEventListener('change', () => handleFile(fileInput.files[0]));
+        }
 
-            // Filter 1: Faculty (Multi-select by Initial)
-            const selectedFacultyInitials = currentFilters.faculty;
-            if (selectedFacultyInitials.length > 0) {
-                filteredSections = filteredSections.filter(section => 
-                    selectedFacultyInitials.includes(section.Initial)
-                );
+        /** Loads offerings from the URL typed into the data source picker. */
+        window.loadDatasetFromUrlInput = async function() {
+            const input = document.getElementById('dataset-url-input');
+            const url = input ? input.value.trim() : '';
+            if (!url) return;
+            try {
+                await loadDatasetFromUrl(url, 'url');
+            } catch (error) {
+                console.error("Failed to fetch course data:", error);
+                renderDataLoadError(`${escapeHTML(error.message)} (${escapeHTML(url)})`);
             }
+        }
 
-            // Filter 2: Time Slots (Multi-select by Time String)
-            const selectedTimeSlots = currentFilters.time;
-            if (selectedTimeSlots.length > 0) {
-                filteredSections = filteredSections.filter(section => 
-                    timeSlotMatchesFilter(section, selectedTimeSlots)
-                );
+        /** Reloads the offerings file that ships next to the page. */
+        window.loadDefaultDataset = async function() {
+            try {
+                await loadDatasetFromUrl(DEFAULT_DATASET_URL, 'default');
+            } catch (error) {
+                console.error("Failed to fetch course data:", error);
+                renderDataLoadError(`${escapeHTML(error.message)}. Make sure '${DEFAULT_DATASET_URL}' is in the same directory.`);
             }
+        }
 
-            // 3. Render the filtered list
-            renderFilteredSectionList(filteredSections, courseKey);
+        /** Loads the last-used dataset from the offline cache, falling back to the bundled file. */
+        async function initializeData() {
+            await loadPrerequisiteGraph();
+            await loadRoomDirectory();
+            await loadCreditLoadRules();
+            const cached = await loadCachedDataset();
+            if (cached) {
+                currentDataset = cached.meta;
+                importParsedOfferings(cached.parsed);
+                return;
+            }
+            await loadDefaultDataset();
         }
 
-        /** Function to render the list of filtered sections into the center panel. */
-        function renderFilteredSectionList(sections, courseKey) {
-            const listElement = document.getElementById('section-list');
-            if (!listElement) return;
 
-            listElement.innerHTML = '';
+        // --- Session Persistence & Reconciliation ---
 
-            if (sections.length === 0) {
-                listElement.innerHTML = '<p class="text-center text-gray-500 mt-4 p-4 border rounded-lg bg-yellow-50 border-yellow-300">No sections found matching the current filters.</p>';
-                return;
+        const SESSION_STORAGE_KEY = 'schedulerSession';
+        const SESSION_TRACKED_FIELDS = ['Day1', 'Time1', 'Room1', 'Day2', 'Time2', 'Room2']; // Changes worth flagging
+
+        let sessionIssues = []; // { courseKey, type: 'courseRemoved' | 'sectionRemoved' | 'sectionChanged', message }
+
+        /** Returns a short, stable FNV-1a hash of a string as hex. */
+        function hashString(text) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
             }
+            return (hash >>> 0).toString(16).padStart(8, '0');
+        }
 
-            const currentCourse = uniqueCourses.find(c => c.key === courseKey);
+        /** Saves the current plan, filters and view to localStorage, tagged with the dataset version. */
+        function persistSession() {
+            if (!datasetVersion) return; // Nothing loaded yet
 
-            sections.forEach(section => {
-                const sectionKey = `${courseKey}_${section['Section']}`;
-                const isSelected = selectedSections[courseKey] && selectedSections[courseKey]['Section'] === section['Section'];
+            // The active draft mirrors whatever is being edited
+            const activeDraft = scheduleDrafts.find(d => d.id === activeDraftId);
+            if (activeDraft) {
+                activeDraft.selectedCourseKeys = Array.from(selectedCoursesForAssignment);
+                activeDraft.selectedSections = { ...selectedSections };
+                activeDraft.savedAt = new Date().toISOString();
+            }
 
-                // Conflict check logic
-                const conflictingSection = findConflict(section, selectedSections);
-                const hasConflict = !isSelected && conflictingSection !== null;
+            const session = {
+                datasetVersion,
+                datasetName: currentDataset ? currentDataset.name : null,
+                selectedCourseKeys: Array.from(selectedCoursesForAssignment),
+                selectedSections, // Full row snapshots, so changes can be detected after a data update
+                courseFilters,
+                viewState,
+                currentView2CourseKey,
+                scheduleDrafts,
+                activeDraftId,
+                pairingRule,
+                completedCourses: Array.from(completedCourses),
+                travelWarningsEnabled,
+                busyBlocks,
+                courseSortOrder,
+                savedAt: new Date().toISOString()
+            };
+            try {
+                localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+            } catch (error) {
+                console.error("Failed to save session:", error);
+            }
+        }
 
-                const card = document.createElement('div');
-                card.id = `section-card-${sectionKey}`;
-                
-                let cardClass = 'section-card p-4 rounded-xl border-2 cursor-pointer ';
-                if (isSelected) {
-                    cardClass += 'selected border-green-500';
-                } else if (hasConflict) {
-                    cardClass += 'conflict border-red-500';
+        /** Reads the saved session, or null if there is none or it is unreadable. */
+        function readStoredSession() {
+            try {
+                return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Restores the saved session into the live state. When the dataset version differs
+         * from the one the session was saved with, every saved section is looked up again:
+         * missing courses/sections are dropped and changed times or rooms are flagged.
+         */
+        function restoreSession() {
+            const session = readStoredSession();
+            sessionIssues = [];
+            if (!session) return;
+
+            const knownCourseKeys = new Set(uniqueCourses.map(c => c.key));
+            const isSameVersion = session.datasetVersion === datasetVersion;
+
+            selectedCoursesForAssignment = new Set();
+            (session.selectedCourseKeys || []).forEach(courseKey => {
+                if (knownCourseKeys.has(courseKey)) {
+                    selectedCoursesForAssignment.add(courseKey);
                 } else {
-                    cardClass += 'bg-gray-50 border-gray-200 hover:border-indigo-300';
+                    sessionIssues.push({ courseKey, type: 'courseRemoved', message: `${courseKey.split('_')[0]} is no longer offered and was removed from your plan.` });
                 }
-                card.className = cardClass;
+            });
 
-                let conflictDetail = '';
-                if (hasConflict) {
-                    conflictDetail = `<p class="text-xs text-red-600 mt-2 font-semibold">
-                                        CONFLICT with: ${conflictingSection['Formal Code']} - ${conflictingSection['Section']}
-                                    </p>`;
+            selectedSections = {};
+            fixSuggestions = null;
+            Object.entries(session.selectedSections || {}).forEach(([courseKey, savedSection]) => {
+                if (!selectedCoursesForAssignment.has(courseKey)) return;
+
+                const currentSection = allCoursesData.find(row =>
+                    getCourseKey(row) === courseKey && row['Section'] === savedSection['Section']
+                );
+                const label = `${savedSection['Formal Code']} - ${savedSection['Section']}`;
+
+                if (!currentSection) {
+                    sessionIssues.push({ courseKey, type: 'sectionRemoved', message: `Section ${label} no longer exists. Please pick another section.` });
+                    return;
                 }
 
-                card.innerHTML = `
-                    <div class="flex justify-between items-start mb-1">
-                        <span class="text-xl font-extrabold">${section['Section']}</span>
-                        <span class="text-sm font-semibold text-gray-600">${section['Cr.']} Cr.</span>
-                    </div>
-                    <div class="space-y-1 text-sm text-gray-700">
-                        <p><strong>Faculty:</strong> ${section['Faculty Full Name']} (${section['Initial']})</p>
-                        <p><strong>Time 1:</strong> ${section['Day1']}: ${section['Time1']} (${section['Room1']})</p>
-                        ${section['Day2'] && section['Time2'] && section['Day2'].trim() !== '' && section['Time2'].trim() !== '-' ?
-                            `<p><strong>Time 2:</strong> ${section['Day2']}: ${section['Time2']} (${section['Room2']})</p>`
-                            : ''}
-                    </div>
-                    ${conflictDetail}
-                `;
+                if (!isSameVersion) {
+                    const changes = SESSION_TRACKED_FIELDS
+                        .filter(field => (savedSection[field] || '') !== (currentSection[field] || ''))
+                        .map(field => `${field}: ${savedSection[field] || '(none)'} → ${currentSection[field] || '(none)'}`);
+                    if (changes.length > 0) {
+                        sessionIssues.push({ courseKey, type: 'sectionChanged', message: `Section ${label} changed (${changes.join('; ')}).` });
+                    }
+                }
+                selectedSections[courseKey] = currentSection; // Always use the live row
+            });
 
-                // Pass the course object for proper re-rendering of sections on click
-                card.addEventListener('click', () => handleSectionSelection(courseKey, section, currentCourse));
-                listElement.appendChild(card);
+            currentView2CourseKey = knownCourseKeys.has(session.currentView2CourseKey) ? session.currentView2CourseKey : null;
+            courseFilters = {};
+            Object.entries(session.courseFilters || {}).forEach(([courseKey, filters]) => {
+                if (knownCourseKeys.has(courseKey)) courseFilters[courseKey] = { ...createEmptyFilters(), ...filters };
             });
+            // Sessions saved before per-course filters kept a single shared set
+            if (session.currentFilters && currentView2CourseKey && !courseFilters[currentView2CourseKey]) {
+                courseFilters[currentView2CourseKey] = { ...createEmptyFilters(), ...session.currentFilters };
+            }
+            currentFilters = currentView2CourseKey ? getCourseFilters(currentView2CourseKey) : createEmptyFilters();
+
+            // Drafts keep their snapshots; live rows are swapped in wherever the section still exists
+            scheduleDrafts = (session.scheduleDrafts || []).map(draft => ({
+                ...draft,
+                selectedSections: Object.fromEntries(Object.entries(draft.selectedSections || {}).map(([courseKey, saved]) => [
+                    courseKey,
+                    allCoursesData.find(row => getCourseKey(row) === courseKey && row['Section'] === saved['Section']) || saved
+                ]))
+            }));
+            activeDraftId = scheduleDrafts.some(d => d.id === session.activeDraftId) ? session.activeDraftId : null;
+            if (['none', 'section', 'faculty'].includes(session.pairingRule)) pairingRule = session.pairingRule;
+            completedCourses = new Set(session.completedCourses || []);
+            if (typeof session.travelWarningsEnabled === 'boolean') travelWarningsEnabled = session.travelWarningsEnabled;
+            busyBlocks = Array.isArray(session.busyBlocks) ? session.busyBlocks : [];
+            if (['code', 'recommended'].includes(session.courseSortOrder)) courseSortOrder = session.courseSortOrder;
+
+            // The generator and data source views are transient; reopen the plan they came from
+            if (selectedCoursesForAssignment.size > 0 && ['sectionAssignment', 'scheduleGeneration', 'draftComparison'].includes(session.viewState)) {
+                viewState = 'sectionAssignment';
+            } else {
+                viewState = 'courseSelection';
+            }
+
+            persistSession();
         }
 
-        /**
-         * Sets up the filters and displays sections for a selected course in the center panel (View 2).
-         * @param {object} course - The unique course object.
-         */
-        window.displaySections = function(course) {
-            const courseKey = course.key;
-            
-            // If the user clicks a new course, we must reset the faculty filter as the options change.
-            if (currentView2CourseKey !== courseKey) {
-                currentFilters.faculty = []; 
-            }
-            
-            currentView2CourseKey = courseKey; // Set the active course
+        /** Renders the notices produced by reconciling a restored session. */
+        function renderSessionNotices() {
+            const panel = document.getElementById('session-notices');
+            if (!panel) return;
 
-            document.getElementById('section-filters').classList.remove('hidden');
+            if (sessionIssues.length === 0) {
+                panel.classList.add('hidden');
+                return;
+            }
 
-            document.getElementById('selected-course-info').innerHTML = `
-                <span class="text-indigo-600 font-bold">${course['Formal Code']}</span>: ${course['Title']}
+            panel.classList.remove('hidden');
+            panel.innerHTML = `
+                <div class="flex justify-between items-start">
+                    <p class="font-semibold text-sm text-yellow-800 mb-1">Some parts of your plan need attention:</p>
+                    <button onclick="dismissSessionNotices()" class="text-yellow-800 hover:text-yellow-900 text-xl font-bold leading-none" title="Dismiss">&times;</button>
+                </div>
+                <ul class="list-disc list-inside text-xs text-yellow-900 space-y-1">
+                    ${sessionIssues.map(issue => `<li>${escapeHTML(issue.message)}</li>`).join('')}
+                </ul>
             `;
-            
-            // Populate dynamic faculty list based on new course
-            populateFacultyFilter(courseKey); 
-            // Re-render time filter to maintain state
-            populateTimeSlotFilter();
+        }
 
-            // Render the sections with the current filters
-            filterAndRenderSections();
-            
-            // Scroll to the top of the section list to show the content
-            document.getElementById('section-list').scrollTop = 0;
+        /** Hides the reconciliation notices once the user has read them. */
+        window.dismissSessionNotices = function() {
+            sessionIssues = [];
+            renderSessionNotices();
+            renderScheduleSummary();
         }
 
+
+        // --- Shareable Plan Links ---
+
+        const SHARE_PARAM_PLAN = 'plan'; // Hash parameter: comma-separated "Formal Code~Section" entries
+        const SHARE_PARAM_DATASET = 'ds'; // Hash parameter: datasetVersion the link was created with
+
         /**
-         * Handles the click event for section selection/deselection (View 2).
+         * Encodes the current plan into a URL hash. Courses without a chosen section
+         * are encoded as the bare Formal Code so they still come across.
          */
-        function handleSectionSelection(courseKey, sectionData, course) {
-            const isAlreadySelected = selectedSections[courseKey] && selectedSections[courseKey]['Section'] === sectionData['Section'];
+        function buildShareHash() {
+            const entries = Array.from(selectedCoursesForAssignment).map(courseKey => {
+                const course = uniqueCourses.find(c => c.key === courseKey);
+                const code = course ? course['Formal Code'] : courseKey.split('_')[0];
+                const section = selectedSections[courseKey];
+                return section ? `${code}~${section['Section']}` : code;
+            });
 
-            if (isAlreadySelected) {
-                // Deselect the current section
-                delete selectedSections[courseKey];
-            } else {
-                // Select the new section (conflict checked in UI rendering)
-                selectedSections[courseKey] = sectionData;
+            const params = new URLSearchParams();
+            params.set(SHARE_PARAM_DATASET, datasetVersion);
+            params.set(SHARE_PARAM_PLAN, entries.join(','));
+            return `#${params.toString()}`;
+        }
+
+        /** Builds the share link and copies it to the clipboard, showing it as well in case copying is blocked. */
+        window.copyShareLink = async function() {
+            const output = document.getElementById('share-link-output');
+            const url = `${location.origin}${location.pathname}${location.search}${buildShareHash()}`;
+
+            let copied = false;
+            try {
+                await navigator.clipboard.writeText(url);
+                copied = true;
+            } catch (error) {
+                console.error("Failed to copy share link:", error);
             }
 
-            // Re-render all necessary parts of the UI
-            renderScheduleSummary();
-            // Re-render sections for the current course to update selection/conflict states
-            filterAndRenderSections();
-            // Re-render the course list to update its colors
-            renderAssignmentCourseList();
+            if (output) {
+                output.classList.remove('hidden');
+                output.innerHTML = `
+                    <p class="text-sm font-semibold text-indigo-800 mb-1">${copied ? 'Link copied to clipboard!' : 'Copy this link to share your plan:'}</p>
+                    <input type="text" readonly onclick="this.select()"
+                        class="w-full p-2 border border-indigo-200 rounded-lg bg-white text-xs text-gray-700">
+                `;
+                output.querySelector('input').value = url;
+            }
         }
 
-        /** Renders the list of courses chosen in View 1 (top panel of View 2). */
-        function renderAssignmentCourseList() {
-            const listElement = document.getElementById('assignment-course-list');
-            if (!listElement) return;
+        /**
+         * Rebuilds a plan from a share link in location.hash, replacing the restored session.
+         * A non-empty current plan is only replaced after the user confirms.
+         * Entries that do not exist in the loaded data are reported as notices.
+         * The hash is removed afterwards so a reload falls back to the saved session.
+         */
+        function applySharedPlanFromUrl() {
+            const params = new URLSearchParams(location.hash.slice(1));
+            if (!params.has(SHARE_PARAM_PLAN)) return;
 
-            listElement.innerHTML = '';
+            const entries = params.get(SHARE_PARAM_PLAN).split(',').map(e => e.trim()).filter(Boolean);
+            const issues = [];
 
-            // Filter uniqueCourses to only include those in selectedCoursesForAssignment
-            const coursesToAssign = uniqueCourses.filter(c => selectedCoursesForAssignment.has(c.key));
+            if (params.get(SHARE_PARAM_DATASET) && params.get(SHARE_PARAM_DATASET) !== datasetVersion) {
+                issues.push({ courseKey: null, type: 'sharedDatasetMismatch', message: 'This link was created with a different version of the course data. Times and rooms may differ.' });
+            }
 
-            // Sort courses by Formal Code
-            coursesToAssign.sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code']));
+            const courseKeys = new Set();
+            const sections = {};
+            entries.forEach(entry => {
+                const [code, sectionName] = entry.split('~');
+                const candidates = uniqueCourses.filter(c => c['Formal Code'] === code);
+                if (candidates.length === 0) {
+                    issues.push({ courseKey: null, type: 'sharedMissing', message: `Shared course ${code} is not in the loaded data.` });
+                    return;
+                }
+                if (!sectionName) {
+                    courseKeys.add(candidates[0].key);
+                    return;
+                }
 
-            if (coursesToAssign.length === 0) {
-                 listElement.innerHTML = '<p class="text-center text-gray-500 py-4">No courses selected for assignment. Return to Course Selection view to choose courses.</p>';
-                 document.getElementById('selected-course-info').textContent = 'Please return to Course Selection view to choose courses.';
-                 document.getElementById('section-filters').classList.add('hidden');
-                 return;
+                // Codes are normally unique, but prefer the course that actually has the section
+                const section = allCoursesData.find(row =>
+                    candidates.some(c => c.key === getCourseKey(row)) && row['Section'] === sectionName
+                );
+                if (section) {
+                    courseKeys.add(getCourseKey(section));
+                    sections[getCourseKey(section)] = section;
+                } else {
+                    courseKeys.add(candidates[0].key);
+                    issues.push({ courseKey: candidates[0].key, type: 'sharedMissing', message: `Shared section ${code} - ${sectionName} is not in the loaded data. Please pick another section.` });
+                }
+            });
+
+            history.replaceState(null, '', `${location.pathname}${location.search}`);
+
+            const currentCount = selectedCoursesForAssignment.size;
+            if (currentCount > 0 && !confirm(`Replace your current plan (${currentCount} course${currentCount === 1 ? '' : 's'}) with the shared plan (${courseKeys.size} course${courseKeys.size === 1 ? '' : 's'})? Save the current plan as a draft first if you want to keep it.`)) {
+                return;
             }
 
-            coursesToAssign.forEach(course => {
-                const isSectionSelected = !!selectedSections[course.key];
-                const isActive = currentView2CourseKey === course.key;
+            // A shared plan is someone else's; don't overwrite the user's active draft with it
+            activeDraftId = null;
+            selectedCoursesForAssignment = courseKeys;
+            selectedSections = sections;
+            fixSuggestions = null;
+            sessionIssues = issues;
+            currentView2CourseKey = null;
+            viewState = courseKeys.size > 0 ? 'sectionAssignment' : 'courseSelection';
+            persistSession();
+        }
 
-                const button = document.createElement('button');
-                // w-40 flex-shrink-0 for fixed horizontal size
-                button.className = `w-40 flex-shrink-0 text-left p-3 rounded-lg border-2 transition duration-150 ease-in-out 
-                                    ${isSectionSelected ? 'selected border-green-500' : 'bg-white border-gray-200 hover:bg-gray-100'}
-                                    ${isActive ? 'bg-indigo-100 border-indigo-500' : ''}`;
-                button.innerHTML = `
-                    <div class="font-bold text-base text-gray-900">${course['Formal Code']}</div>
-                    <div class="text-sm text-gray-600 truncate">${course['Title']}</div>
-                `;
-                button.addEventListener('click', () => {
-                    displaySections(course);
-                    // Update visual state of course list buttons for the active course
-                    document.querySelectorAll('#assignment-course-list button').forEach(btn => {
-                        btn.classList.remove('bg-indigo-100', 'border-indigo-500');
-                    });
-                    button.classList.add('bg-indigo-100', 'border-indigo-500');
-                });
-                listElement.appendChild(button);
+        /** Applies share links that are pasted into the address bar while the app is open. */
+        window.addEventListener('hashchange', () => {
+            if (allCoursesData.length === 0) return;
+            applySharedPlanFromUrl();
+            renderApp();
+        });
+
+        // --- Plan Import (Pasted Text, CSV or JSON) ---
+
+        // "CSE 2215 E", "cse2215-E", "CSE 2215 Sec. E" or "CSE 2215~E" (share-link form); the section is optional
+        const PLAN_ENTRY_PATTERN = /\b([A-Z]{2,4})\s*(\d{4}[A-Z]?)\b(?:\s*(?:[-~:]\s*)?(?:sec(?:tion)?\.?\s*)?([A-Z]{1,2}\d?)\b)?/gi;
+
+        /**
+         * Finds a plan entry in the loaded data. The exact course (code + title, as getCourseKey)
+         * wins when a title is given; otherwise the course with that code that has the section.
+         * Section names compare case-insensitively, and "BB" matches "BB (If Required)".
+         * @returns {{ courseKey: string|null, section: object|null }} courseKey is null when the course is unknown.
+         */
+        function resolvePlanEntry({ code, section: sectionName, title }) {
+            const normalizedCode = normalizeCourseCode(code) || String(code || '').trim();
+            const exactKey = title ? getCourseKey({ 'Formal Code': normalizedCode, 'Title': title.trim() }) : null;
+            const candidates = uniqueCourses.filter(c => c['Formal Code'].toUpperCase() === normalizedCode.toUpperCase());
+            if (exactKey && candidates.some(c => c.key === exactKey)) {
+                candidates.sort((a, b) => (b.key === exactKey) - (a.key === exactKey));
+            }
+            if (candidates.length === 0) return { courseKey: null, section: null };
+            if (!sectionName || !String(sectionName).trim()) return { courseKey: candidates[0].key, section: null };
+
+            const wanted = String(sectionName).trim().toUpperCase();
+            const rowsFor = course => allCoursesData.filter(row => getCourseKey(row) === course.key);
+            for (const course of candidates) {
+                const rows = rowsFor(course);
+                const section = rows.find(row => row['Section'].trim().toUpperCase() === wanted)
+                    || rows.find(row => row['Section'].replace(/\s*\(.*\)$/, '').trim().toUpperCase() === wanted);
+                if (section) return { courseKey: course.key, section };
+            }
+            return { courseKey: candidates[0].key, section: null };
+        }
+
+        /**
+         * Reads plan entries from pasted text. Entries may be separated by commas, semicolons,
+         * line breaks or just spaces; text between them (titles, credits) is ignored.
+         * @returns {{ entries: Array<{ source, code, section }>, unmatched: Array<{ source, reason }> }}
+         */
+        function parsePlanText(text) {
+            const entries = [];
+            const unmatched = [];
+            text.split(/[\n\r,;]+/).map(chunk => chunk.trim()).filter(Boolean).forEach(chunk => {
+                const matches = [...chunk.matchAll(PLAN_ENTRY_PATTERN)];
+                if (matches.length === 0) {
+                    unmatched.push({ source: chunk, reason: 'no course code found' });
+                    return;
+                }
+                matches.forEach(match => entries.push({ source: match[0].trim(), code: `${match[1]} ${match[2]}`, section: match[3] || '' }));
             });
+            return { entries, unmatched };
         }
 
-        /** Renders the summary of selected courses in the right panel (View 2). */
-        function renderScheduleSummary() {
-            const summaryElement = document.getElementById('schedule-summary');
-            const totalCreditsElement = document.getElementById('total-credits');
-            const conflictMessageElement = document.getElementById('conflict-message');
+        /**
+         * Reads plan entries from a CSV/JSON/XLSX file: a plan export, an offerings-style file,
+         * or any table with a course code column (and optionally section and title columns).
+         * @returns {{ entries: Array<{ source, code, section, title }>, unmatched: Array<{ source, reason }> }}
+         */
+        async function parsePlanFile(file) {
+            const parsed = await parseOfferingFile(file);
+            const { mapping } = detectColumnMapping(parsed.headers);
+            if (!mapping['Formal Code']) {
+                throw new Error('No course code column found');
+            }
 
-            if (!summaryElement || !totalCreditsElement || !conflictMessageElement) return;
+            const entries = [];
+            const unmatched = [];
+            parsed.data.forEach((row, index) => {
+                const line = (parsed.lines && parsed.lines[index]) || index + 2;
+                const code = row[mapping['Formal Code']] || '';
+                const section = mapping['Section'] ? row[mapping['Section']] || '' : '';
+                const source = `Line ${line}: ${[code, section].filter(Boolean).join(' ')}`;
+                if (!code.trim()) {
+                    unmatched.push({ source, reason: 'course code is blank' });
+                    return;
+                }
+                entries.push({ source, code, section, title: mapping['Title'] ? row[mapping['Title']] : '' });
+            });
+            return { entries, unmatched: [...parsed.diagnostics.map(d => ({ source: `Line ${d.line}`, reason: d.reason })), ...unmatched] };
+        }
 
-            summaryElement.innerHTML = '';
-            let totalCredits = 0;
-            let hasGlobalConflict = false;
+        /** Opens the plan import dialog. */
+        window.openPlanImportDialog = function() {
+            const modal = document.getElementById('plan-import-modal');
+            if (!modal) return;
+            document.getElementById('plan-import-text').value = '';
+            document.getElementById('plan-import-file').value = '';
+            document.getElementById('plan-import-keep').checked = false;
+            document.getElementById('plan-import-error').classList.add('hidden');
+            modal.classList.remove('hidden');
+        }
 
-            const selectedKeys = Object.keys(selectedSections);
+        /** Closes the plan import dialog. */
+        window.closePlanImportDialog = function() {
+            const modal = document.getElementById('plan-import-modal');
+            if (modal) modal.classList.add('hidden');
+        }
 
-            if (selectedKeys.length === 0) {
-                summaryElement.innerHTML = '<p class="text-center text-gray-500">Your selected sections will appear here.</p>';
-            } else {
-                // Sort by Formal Code for readability in the schedule summary
-                const sortedSections = selectedKeys
-                    .map(key => selectedSections[key])
-                    .sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code']));
+        /** Imports the plan from the chosen file, or else from the pasted text. */
+        window.importPlanFromDialog = async function() {
+            const errorElement = document.getElementById('plan-import-error');
+            const file = document.getElementById('plan-import-file').files[0];
+            const text = document.getElementById('plan-import-text').value;
+            const keepCurrent = document.getElementById('plan-import-keep').checked;
+            errorElement.classList.add('hidden');
 
-                sortedSections.forEach(section => {
-                    const courseKey = getCourseKey(section);
-                    const credit = parseInt(section['Cr.'] || '0', 10);
-                    totalCredits += credit;
+            let parsed;
+            try {
+                parsed = file ? await parsePlanFile(file) : parsePlanText(text);
+            } catch (error) {
+                console.error("Failed to read plan file:", error);
+                errorElement.textContent = `${error.message} (${file.name})`;
+                errorElement.classList.remove('hidden');
+                return;
+            }
 
-                    // Check if this specific selected section conflicts with any *other* selected section
-                    const conflictingSection = findConflict(section, selectedSections);
-                    const isConflicting = conflictingSection !== null;
-                    if (isConflicting) {
-                        hasGlobalConflict = true;
-                    }
+            if (parsed.entries.length === 0) {
+                errorElement.textContent = file || text.trim() ? 'No course codes were found to import.' : 'Paste a list of courses or choose a file.';
+                errorElement.classList.remove('hidden');
+                return;
+            }
+            applyImportedPlan(parsed, keepCurrent);
+        }
 
-                    const card = document.createElement('div');
-                    card.className = `p-4 rounded-xl shadow-md border-2 
-                                    ${isConflicting ? 'border-red-500 bg-red-100' : 'border-green-500 bg-green-100'}`;
+        /**
+         * Runs the checks the course and section pickers normally apply (prerequisites,
+         * clashes between sections, registration rules) over an imported plan.
+         * @returns {object[]} Session notices for whatever fails.
+         */
+        function checkImportedPlan(courseKeys, sections) {
+            const issues = [];
+            courseKeys.forEach(courseKey => {
+                const course = uniqueCourses.find(c => c.key === courseKey);
+                const unmet = course ? getUnmetPrerequisites(course) : [];
+                if (unmet.length > 0) {
+                    issues.push({ courseKey, type: 'importPrerequisites', message: `${course['Formal Code']} requires ${unmet.join(', ')}, which you have not marked as completed.` });
+                }
+            });
 
-                    let conflictText = '';
-                    if (isConflicting) {
-                        conflictText = `<p class="text-sm font-semibold text-red-700 mt-2">
-                                            CONFLICT with: ${conflictingSection['Formal Code']} - ${conflictingSection['Section']}
-                                        </p>`;
-                    }
+            const checked = {};
+            Object.entries(sections).forEach(([courseKey, section]) => {
+                findAllConflicts(section, checked, false).forEach(conflict => {
+                    issues.push({ courseKey, type: 'importConflict', message: `${section['Formal Code']} - ${section['Section']} clashes with ${describeConflict(conflict)}.` });
+                });
+                checked[courseKey] = section;
+            });
 
-                    card.innerHTML = `
-                        <div class="flex justify-between items-start">
-                            <h3 class="font-bold text-lg">${section['Formal Code']} - ${section['Section']}</h3>
-                            <button onclick="deselectCourse('${courseKey}')" class="text-red-500 hover:text-red-700 transition" title="Remove Section">
-                                <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-                            </button>
-                        </div>
-                        <p class="text-sm text-gray-700">${section['Title']}</p>
-                        <div class="mt-2 text-xs">
-                            <!-- Using Faculty Full Name as requested -->
-                            <p><strong>Faculty:</strong> ${section['Faculty Full Name']}</p>
-                            <p><strong>Time 1:</strong> ${section['Day1']}: ${section['Time1']} / Room ${section['Room1']}</p>
-                            ${section['Day2'] && section['Time2'] && section['Day2'].trim() !== '' && section['Time2'].trim() !== '-' ?
-                                `<p><strong>Time 2:</strong> ${section['Day2']}: ${section['Time2']} / Room ${section['Room2']}</p>`
-                                : ''}
-                        </div>
-                        ${conflictText}
-                    `;
-                    summaryElement.appendChild(card);
+            if (Object.keys(sections).length > 0) {
+                checkCreditLoad(sections).filter(check => !check.passed).forEach(check => {
+                    issues.push({ courseKey: null, type: 'importCreditLoad', message: `Registration rule not met: ${check.message}` });
                 });
             }
+            return issues;
+        }
 
-            totalCreditsElement.textContent = `Credits: ${totalCredits}`;
-            conflictMessageElement.style.display = hasGlobalConflict ? 'block' : 'none';
+        /**
+         * Fills selectedCoursesForAssignment and selectedSections from resolved entries,
+         * either replacing the plan or adding to it. Entries that cannot be matched are
+         * shown as session notices, one per line of input.
+         */
+        function applyImportedPlan({ entries, unmatched }, keepCurrent) {
+            const issues = unmatched.map(({ source, reason }) => ({ courseKey: null, type: 'importUnmatched', message: `Not imported: "${source}" (${reason}).` }));
+            const courseKeys = keepCurrent ? new Set(selectedCoursesForAssignment) : new Set();
+            const sections = keepCurrent ? { ...selectedSections } : {};
+
+            entries.forEach(entry => {
+                const { courseKey, section } = resolvePlanEntry(entry);
+                if (!courseKey) {
+                    issues.push({ courseKey: null, type: 'importUnmatched', message: `Not imported: "${entry.source}" (${normalizeCourseCode(entry.code) || entry.code} is not in the loaded data).` });
+                    return;
+                }
 
-            // If the user removes a section, update the assignment list colors
-            renderAssignmentCourseList();
+                courseKeys.add(courseKey);
+                if (section) {
+                    sections[courseKey] = section;
+                } else if (entry.section && String(entry.section).trim()) {
+                    issues.push({ courseKey, type: 'importUnmatched', message: `Section not found: "${entry.source}". The course was added; please pick a section.` });
+                }
+            });
+
+            issues.push(...checkImportedPlan(courseKeys, sections));
+
+            // An imported plan (often an advisor's) should not overwrite the active draft
+            if (!keepCurrent) activeDraftId = null;
+            selectedCoursesForAssignment = courseKeys;
+            selectedSections = sections;
+            sessionIssues = issues;
+            fixSuggestions = null;
+            currentView2CourseKey = null;
+
+            closePlanImportDialog();
+            changeView(courseKeys.size > 0 ? 'sectionAssignment' : 'courseSelection');
         }
 
-        /** Deselects a course section from the schedule (View 2). */
-        window.deselectCourse = function(courseKey) {
-            delete selectedSections[courseKey];
-            renderScheduleSummary();
+        // --- View Management ---
 
-            // Re-render the section list if it was focused on the deselected course
-            if (currentView2CourseKey === courseKey) {
-                 const currentCourse = uniqueCourses.find(c => c.key === courseKey);
-                 if (currentCourse) filterAndRenderSections();
-            }
+        const BROWSER_VIEWS = ['facultyBrowser', 'roomExplorer', 'offeringDiff']; // Side views whose Back button returns to browserReturnView
+
+        /** Renders the entire application based on the current viewState. */
+        function renderApp() {
+            const container = document.getElementById('app-container');
+            container.innerHTML = ''; // Clear previous view (including loading indicator)
+
+            if (viewState === 'courseSelection') {
+                container.innerHTML = `
+                    <!-- Restored Session Notices -->
+                    <div id="session-notices" class="mb-6 p-3 bg-yellow-50 rounded-xl border border-yellow-300 hidden"></div>
+
+                    <!-- Current Data Source -->
+                    <div class="mb-6 p-3 bg-white rounded-xl shadow flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                        <p class="text-sm text-gray-700">
+                            <span class="font-semibold">Dataset:</span>
+                            ${currentDataset ? `${currentDataset.name} <span class="text-gray-500">(${currentDataset.source === 'default' ? 'bundled default' : currentDataset.source})</span>` : 'none'}
+                        </p>
+                        <div class="flex gap-2">
+                            <button onclick="openFacultyBrowser()"
+                                class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 text-sm font-semibold hover:bg-gray-300 transition duration-150">
+                                Browse Faculty
+                            </button>
+                            <button onclick="openRoomExplorer()"
+                                class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 text-sm font-semibold hover:bg-gray-300 transition duration-150">
+                                Rooms
+                            </button>
+                            <button onclick="openOfferingDiff()"
+                                class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 text-sm font-semibold hover:bg-gray-300 transition duration-150">
+                                Compare Versions
+                            </button>
+                            <button onclick="openPlanImportDialog()"
+                                class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 text-sm font-semibold hover:bg-gray-300 transition duration-150">
+                                Import Plan
+                            </button>
+                            <button onclick="changeView('dataSource')"
+                                class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 text-sm font-semibold hover:bg-gray-300 transition duration-150">
+                                Change Data Source
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Data Diagnostics (only shown when rows were rejected) -->
+                    <div id="data-diagnostics" class="mb-6 p-3 bg-yellow-50 rounded-xl border border-yellow-300 hidden"></div>
+
+                    <!-- Data-Quality Summary (only shown when loaded rows have problems) -->
+                    <div id="data-quality" class="mb-6 p-3 bg-orange-50 rounded-xl border border-orange-300 hidden"></div>
+
+                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        <!-- 1. Course Selection Panel (Phase 1) -->
+                        <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg h-full overflow-hidden">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">1. Select Courses for Assignment</h2>
+
+                            <!-- Filtering and Search Controls -->
+                            <div class="flex flex-col sm:flex-row gap-4 mb-4">
+                                <input type="text" id="course-search" placeholder="Search code, title, faculty or room... (↑↓ Enter)"
+                                    oninput="scheduleCourseSearch()" onkeydown="handleCourseListKeydown(event)"
+                                    class="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500">
+
+                                <select id="program-filter" onchange="filterAndRenderCourses()"
+                                    class="p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500">
+                                    <!-- Options populated by JS -->
+                                </select>
+
+                                <select id="course-sort" onchange="handleCourseSortChange(this.value)"
+                                    class="hidden p-2 border border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500">
+                                    <option value="code">Sort by Code</option>
+                                    <option value="recommended">Recommended Next</option>
+                                </select>
+                            </div>
+
+                            <!-- Completed Courses (drives prerequisite checks; hidden while no prerequisite graph is loaded) -->
+                            <div id="completed-courses-panel" class="mb-4 p-3 bg-gray-50 rounded-xl border border-gray-200 hidden">
+                                <div onclick="toggleCompletedCoursesPanel()" class="flex items-center justify-between cursor-pointer">
+                                    <p class="font-semibold text-sm text-gray-700">Completed Courses (<span id="completed-count">0</span>)</p>
+                                    <span id="completed-courses-arrow" class="text-lg ml-2 text-gray-600">▶</span>
+                                </div>
+                                <div id="completed-courses-content" class="mt-3 hidden">
+                                    <div class="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                                        <label class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 cursor-pointer">
+                                            Import Transcript CSV
+                                            <input type="file" accept=".csv,text/csv" class="hidden" onchange="importTranscriptFile(this)">
+                                        </label>
+                                        <button onclick="clearCompletedCourses()" class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150">Clear</button>
+                                        <span id="transcript-import-result" class="text-xs text-gray-600"></span>
+                                    </div>
+                                    <div id="completed-courses-list" class="grid grid-cols-2 sm:grid-cols-4 gap-1 max-h-40 overflow-y-auto custom-scroll text-xs"></div>
+                                </div>
+                            </div>
+
+                            <div id="course-list-selection" class="space-y-3 h-[60vh] lg:h-[70vh] custom-scroll overflow-y-auto pr-2">
+                                <!-- Filtered course cards will be rendered here -->
+                            </div>
+                        </div>
+
+                        <!-- 2. Action Panel (Phase 1 Right) -->
+                        <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg h-full">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Selected Courses</h2>
+                            <div id="pair-prompt" class="mb-4 p-3 bg-indigo-50 rounded-lg border border-indigo-200 hidden"></div>
+                            <div id="pre-selected-summary" class="space-y-3 h-[60vh] lg:h-[70vh] custom-scroll overflow-y-auto pr-2 mb-4">
+                                <p class="text-center text-gray-500">No courses selected yet.</p>
+                            </div>
+
+                            <button onclick="changeView('sectionAssignment')"
+                                class="w-full py-3 px-4 rounded-xl bg-indigo-600 text-white font-semibold shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-gray-400"
+                                id="go-to-assignment-btn" disabled>
+                                Go to Section Assignment (0)
+                            </button>
+                        </div>
+                    </div>
+                `;
+                populateProgramFilter();
+                document.getElementById('course-sort').value = courseSortOrder;
+                filterAndRenderCourses();
+                renderDataDiagnostics();
+                renderDataQuality();
+                renderSessionNotices();
+
+            } else if (viewState === 'sectionAssignment') {
+                container.innerHTML = `
+                    <div class="flex justify-between mb-6">
+                        <button onclick="changeView('courseSelection')"
+                            class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
+                            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
+                            Back to Course Selection
+                        </button>
+                        <div class="flex gap-2">
+                            <button onclick="openFacultyBrowser()"
+                                class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150">
+                                Browse Faculty
+                            </button>
+                            <button onclick="openRoomExplorer()"
+                                class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150">
+                                Rooms
+                            </button>
+                            <button onclick="openPlanImportDialog()"
+                                class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150">
+                                Import Plan
+                            </button>
+                            <button onclick="copyShareLink()"
+                                class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150">
+                                Share Link
+                            </button>
+                            <button onclick="changeView('scheduleGeneration')"
+                                class="py-2 px-4 rounded-lg bg-indigo-600 text-white font-semibold shadow-md hover:bg-indigo-700 transition duration-150">
+                                Generate Schedules
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Share Link Output (shown after clicking Share Link) -->
+                    <div id="share-link-output" class="mb-6 p-3 bg-indigo-50 rounded-xl border border-indigo-200 hidden"></div>
+
+                    <!-- Restored Session Notices -->
+                    <div id="session-notices" class="mb-6 p-3 bg-yellow-50 rounded-xl border border-yellow-300 hidden"></div>
+
+                    <!-- Named Drafts -->
+                    <div id="draft-bar" class="bg-white p-4 rounded-xl shadow-lg mb-8 flex flex-col md:flex-row md:items-center gap-3"></div>
+
+                    <!-- 1. Assigned Courses List (Top, Full Width, Horizontal Scrollable) -->
+                    <div class="bg-white p-4 rounded-xl shadow-lg mb-8 overflow-hidden">
+                        <h2 class="text-xl font-bold text-gray-800 mb-3 border-b pb-2">1. Courses to Assign (Select a course to view sections)</h2>
+                        <div id="assignment-course-list" class="flex space-x-4 pb-2 custom-scroll overflow-x-auto">
+                            <!-- Horizontal course buttons will be rendered here -->
+                        </div>
+                    </div>
+
+                    <!-- Weekly Timetable (Full Width, updates live and previews hovered sections) -->
+                    <div class="bg-white p-4 rounded-xl shadow-lg mb-8 overflow-hidden">
+                        <h2 class="text-xl font-bold text-gray-800 mb-3 border-b pb-2">Weekly Timetable</h2>
+                        <div id="weekly-timetable" class="custom-scroll overflow-x-auto"></div>
+
+                        <!-- Personal Busy Blocks (drag on the timetable or enter below) -->
+                        <div class="mt-4 pt-3 border-t">
+                            <p class="text-sm font-semibold text-gray-700 mb-2">
+                                My Busy Times <span class="font-normal text-gray-500">(drag on the timetable to draw one; sections that overlap are treated as conflicts)</span>
+                            </p>
+                            <div class="flex flex-wrap items-center gap-2 text-sm">
+                                <select id="busy-day" class="p-1 border border-gray-300 rounded-lg bg-white">
+                                    ${DAY_ORDER.map(day => `<option value="${day}">${day}</option>`).join('')}
+                                </select>
+                                <input type="time" id="busy-start" value="14:00" class="p-1 border border-gray-300 rounded-lg">
+                                <span class="text-gray-500">to</span>
+                                <input type="time" id="busy-end" value="17:00" class="p-1 border border-gray-300 rounded-lg">
+                                <input type="text" id="busy-label" placeholder="e.g. Part-time job" class="p-1 border border-gray-300 rounded-lg flex-grow min-w-[8rem]">
+                                <button onclick="addBusyBlock()" class="py-1 px-3 rounded-lg bg-gray-700 text-white font-semibold hover:bg-gray-800 transition duration-150">Add</button>
+                            </div>
+                            <p id="busy-error" class="text-xs text-red-600 font-semibold mt-1 hidden"></p>
+                            <div id="busy-block-list" class="flex flex-wrap gap-2 mt-2"></div>
+                        </div>
+                    </div>
+
+                    <!-- Main Assignment Layout Grid (2 Columns below: 2/3 and 1/3 split) -->
+                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        
+                        <!-- 2. Section Details Panel (Center, takes 2/3 space) -->
+                        <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg h-full overflow-hidden">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">2. Available Sections</h2>
+                            <div id="selected-course-info" class="mb-4 text-gray-700 font-semibold">
+                                Select a course above to view sections.
+                            </div>
+
+                            <!-- Filtering Controls -->
+                            <div id="section-filters" class="mb-4 p-3 bg-gray-50 rounded-xl border border-gray-200 hidden">
+                                <div class="flex items-center justify-between mb-2">
+                                    <p class="font-semibold text-sm text-gray-700">Filter Sections:</p>
+                                    <button onclick="clearSectionFilters()" class="text-xs text-indigo-600 font-semibold hover:text-indigo-800">Clear filters</button>
+                                </div>
+                                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                    <!-- Faculty Filter -->
+                                    <div class="p-2 border border-gray-300 rounded-lg bg-white">
+                                        <label class="block text-xs font-semibold text-gray-600 mb-1">Faculty Filter (Multi-Select)</label>
+                                        <input type="text" id="faculty-search" placeholder="Search faculty name..."
+                                            oninput="handleFilterValueChange('facultySearch', this.value)"
+                                            class="w-full mb-1 p-1 border border-gray-300 rounded text-xs">
+                                        <div id="faculty-filter-container" class="max-h-24 overflow-y-auto space-y-1">
+                                            <!-- Faculty checkboxes will be rendered here -->
+                                        </div>
+                                    </div>
+                                    
+                                    <!-- Time Slot Filter -->
+                                    <div class="p-2 border border-gray-300 rounded-lg bg-white">
+                                        <label class="block text-xs font-semibold text-gray-600 mb-1">Time Slot Filter (Multi-Select)</label>
+                                        <div id="time-filter-container" class="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto">
+                                            <!-- Time Slot checkboxes will be rendered here -->
+                                        </div>
+                                    </div>
+
+                                    <!-- Day Pattern Filter -->
+                                    <div class="p-2 border border-gray-300 rounded-lg bg-white">
+                                        <label class="block text-xs font-semibold text-gray-600 mb-1">Day Pattern (Multi-Select)</label>
+                                        <div id="day-filter-container" class="grid grid-cols-2 gap-1">
+                                            <!-- Day pattern checkboxes will be rendered here -->
+                                        </div>
+                                    </div>
+
+                                    <!-- Time Range, Room Type and Conflict Toggle -->
+                                    <div class="p-2 border border-gray-300 rounded-lg bg-white space-y-2 text-xs text-gray-700">
+                                        <div class="flex items-center gap-1">
+                                            <span class="font-semibold text-gray-600">Between</span>
+                                            <input type="time" id="filter-time-from" onchange="handleFilterValueChange('timeFrom', this.value)" class="p-1 border border-gray-300 rounded">
+                                            <span>and</span>
+                                            <input type="time" id="filter-time-to" onchange="handleFilterValueChange('timeTo', this.value)" class="p-1 border border-gray-300 rounded">
+                                        </div>
+                                        <div class="flex items-center gap-1">
+                                            <span class="font-semibold text-gray-600">Room</span>
+                                            <select id="filter-room-type" onchange="handleFilterValueChange('roomType', this.value)" class="p-1 border border-gray-300 rounded bg-white">
+                                                <option value="any">Any</option>
+                                                <option value="theory">Theory room</option>
+                                                <option value="lab">Lab room</option>
+                                            </select>
+                                        </div>
+                                        <label class="flex items-center gap-1">
+                                            <input type="checkbox" id="filter-hide-conflicting" onchange="handleFilterValueChange('hideConflicting', this.checked)"
+                                                class="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500">
+                                            Hide sections that conflict with my current picks
+                                        </label>
+                                    </div>
+                                </div>
+
+                                <!-- Theory/Lab Pairing Rule -->
+                                <label class="mt-3 flex items-center gap-2 text-xs font-semibold text-gray-600">
+                                    Theory/lab pairs must share:
+                                    <select id="pairing-rule" onchange="handlePairingRuleChange(this.value)"
+                                        class="p-1 border border-gray-300 rounded-lg bg-white text-xs font-normal">
+                                        <option value="none">Nothing</option>
+                                        <option value="section">Section letter</option>
+                                        <option value="faculty">Faculty</option>
+                                    </select>
+                                </label>
+                            </div>
+                            <!-- END Filtering Controls -->
+
+                            <div id="section-list" class="space-y-4 h-[40vh] md:h-[50vh] custom-scroll overflow-y-auto pr-2">
+                                <!-- Section cards will be rendered here -->
+                            </div>
+                        </div>
+
+                        <!-- 3. Current Schedule Panel (Right, takes 1/3 space) -->
+                        <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg h-full overflow-hidden">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2 flex items-center justify-between">
+                                3. My Schedule
+                                <span id="total-credits" class="text-sm font-normal bg-blue-100 text-blue-800 px-3 py-1 rounded-full">Credits: 0</span>
+                            </h2>
+                            <ul id="credit-load-warnings" class="mb-4 text-xs font-semibold text-red-700 space-y-1 hidden"></ul>
+                            <button onclick="openICSExportDialog()"
+                                class="w-full py-2 px-4 rounded-xl bg-green-600 text-white font-semibold shadow-md hover:bg-green-700 transition duration-150 mb-4">
+                                Export to Calendar (.ics)
+                            </button>
+                            <button onclick="openPrintExportDialog()"
+                                class="w-full py-2 px-4 rounded-xl bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 mb-4">
+                                Print / Export (PDF, PNG, CSV, JSON)
+                            </button>
+                            <div id="schedule-summary" class="space-y-4 h-[70vh] custom-scroll overflow-y-auto pr-2">
+                                <p class="text-center text-gray-500">Your selected sections will appear here.</p>
+                            </div>
+                            <div id="conflict-message" class="mt-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg hidden" role="alert">
+                                <p class="font-bold">TIME CONFLICT DETECTED!</p>
+                                <p class="text-sm">Please review your selections. You have overlapping class times.</p>
+                            </div>
+                            <div id="conflict-matrix" class="mt-4 hidden"></div>
+                            <div id="travel-warning-message" class="mt-4 p-3 bg-yellow-50 border border-yellow-400 text-yellow-800 rounded-lg hidden"></div>
+                            <label class="mt-3 flex items-center gap-2 text-xs text-gray-600">
+                                <input type="checkbox" id="travel-warnings-toggle" onchange="handleTravelWarningsToggle(this.checked)"
+                                    class="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500">
+                                Warn about tight transitions between distant rooms
+                            </label>
+                        </div>
+                    </div>
+                `;
+                // Initial render for section assignment view
+                renderAssignmentCourseList();
+                renderScheduleSummary();
+                populateTimeSlotFilter(currentView2CourseKey); // Static time slot filter initialization
+                renderSessionNotices();
+                renderDraftBar();
+                document.getElementById('pairing-rule').value = pairingRule;
+                document.getElementById('travel-warnings-toggle').checked = travelWarningsEnabled;
+                renderBusyBlockList();
+
+                // Re-open the course whose sections were on screen (e.g. after a reload)
+                const activeCourse = uniqueCourses.find(c => c.key === currentView2CourseKey);
+                if (activeCourse) displaySections(activeCourse);
+
+            } else if (viewState === 'dataSource') {
+                container.innerHTML = `
+                    ${allCoursesData.length > 0 ? `
+                        <div class="flex justify-start mb-6">
+                            <button onclick="changeView('courseSelection')"
+                                class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
+                                <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
+                                Back to Course Selection
+                            </button>
+                        </div>
+                    ` : ''}
+
+                    <div class="bg-white p-6 rounded-xl shadow-lg max-w-3xl mx-auto space-y-6">
+                        <h2 class="text-2xl font-bold text-gray-800 border-b pb-2">Choose a Data Source</h2>
+
+                        <!-- 1. Upload -->
+                        <div>
+                            <p class="font-semibold text-gray-700 mb-2">Upload an offerings file (CSV, JSON or XLSX)</p>
+                            <div id="dataset-drop-zone"
+                                class="p-8 border-2 border-dashed border-gray-300 rounded-xl text-center text-gray-500 cursor-pointer hover:bg-gray-50 transition duration-150">
+                                Drag and drop a file here, or click to browse
+                            </div>
+                            <input type="file" id="dataset-file-input" accept=".csv,.json,.xlsx" class="hidden">
+                        </div>
+
+                        <!-- 2. URL -->
+                        <div>
+                            <p class="font-semibold text-gray-700 mb-2">Load from a URL</p>
+                            <div class="flex flex-col sm:flex-row gap-2">
+                                <input type="url" id="dataset-url-input" placeholder="https://example.edu/offerings.csv"
+                                    value="${currentDataset && currentDataset.source === 'url' ? currentDataset.name : ''}"
+                                    class="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500">
+                                <button onclick="loadDatasetFromUrlInput()"
+                                    class="py-2 px-4 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition duration-150">
+                                    Load URL
+                                </button>
+                            </div>
+                        </div>
+
+                        <!-- 3. Bundled Default -->
+                        <div>
+                            <p class="font-semibold text-gray-700 mb-2">Use the bundled offerings</p>
+                            <button onclick="loadDefaultDataset()"
+                                class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150">
+                                Load ${DEFAULT_DATASET_URL}
+                            </button>
+                        </div>
+                    </div>
+                `;
+                setupDataSourcePicker();
+
+            } else if (viewState === 'draftComparison') {
+                container.innerHTML = `
+                    <div class="flex justify-start mb-6">
+                        <button onclick="changeView('sectionAssignment')"
+                            class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
+                            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
+                            Back to Section Assignment
+                        </button>
+                    </div>
+
+                    <div class="bg-white p-6 rounded-xl shadow-lg">
+                        <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Compare Drafts</h2>
+                        <div id="draft-comparison" class="custom-scroll overflow-x-auto"></div>
+                    </div>
+                `;
+                renderDraftComparison();
+
+            } else if (viewState === 'scheduleGeneration') {
+                container.innerHTML = `
+                    <div class="flex justify-start mb-6">
+                        <button onclick="changeView('sectionAssignment')"
+                            class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
+                            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
+                            Back to Section Assignment
+                        </button>
+                    </div>
+
+                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        <!-- Preference Panel (Left, 1/3 space) -->
+                        <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg h-full">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Preferences</h2>
+                            <div id="preference-panel"></div>
+                        </div>
+
+                        <!-- Ranked Results (Right, 2/3 space) -->
+                        <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2 flex items-center justify-between">
+                                Generated Schedules
+                                <span id="generator-count" class="text-sm font-normal bg-indigo-100 text-indigo-800 px-3 py-1 rounded-full">0 found</span>
+                            </h2>
+                            <div id="generated-schedule-list" class="space-y-4"></div>
+                            <div id="generator-pager" class="flex items-center justify-between mt-6"></div>
+                        </div>
+                    </div>
+                `;
+                renderPreferencePanel();
+                renderGeneratedSchedules();
+
+            } else if (viewState === 'facultyBrowser') {
+                container.innerHTML = `
+                    <div class="flex justify-start mb-6">
+                        <button onclick="closeBrowserView()"
+                            class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
+                            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
+                            Back
+                        </button>
+                    </div>
+
+                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        <!-- Instructor List (Left, 1/3 space) -->
+                        <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Faculty</h2>
+                            <input type="text" id="faculty-browser-search" placeholder="Search name or initial..."
+                                oninput="renderFacultyList()"
+                                class="w-full p-2 mb-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500">
+                            <div id="faculty-list" class="space-y-2 h-[70vh] custom-scroll overflow-y-auto pr-2"></div>
+                        </div>
+
+                        <!-- Instructor Details (Right, 2/3 space) -->
+                        <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg overflow-hidden">
+                            <div id="faculty-details">
+                                <p class="text-center text-gray-500 py-8">Select an instructor to see their sections and weekly timetable.</p>
+                            </div>
+                        </div>
+                    </div>
+                `;
+                renderFacultyList();
+                renderFacultyDetails();
+
+            } else if (viewState === 'roomExplorer') {
+                container.innerHTML = `
+                    <div class="flex justify-start mb-6">
+                        <button onclick="closeBrowserView()"
+                            class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
+                            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
+                            Back
+                        </button>
+                    </div>
+
+                    <!-- Double-Bookings Found in the Data -->
+                    <div id="room-double-bookings" class="mb-6 p-3 bg-red-50 rounded-xl border border-red-300 hidden"></div>
+
+                    <div class="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+                        <!-- Free Room Finder (Left, 1/3 space) -->
+                        <div class="lg:col-span-1 bg-white p-6 rounded-xl shadow-lg">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Find a Free Room</h2>
+                            <div class="space-y-2 text-sm">
+                                <select id="free-room-day" onchange="renderFreeRooms()" class="w-full p-2 border border-gray-300 rounded-lg bg-white">
+                                    ${getDataDays().map(day => `<option value="${day}">${day}</option>`).join('')}
+                                </select>
+                                <select id="free-room-slot" onchange="applyFreeRoomSlot(this.value)" class="w-full p-2 border border-gray-300 rounded-lg bg-white">
+                                    <option value="">Custom time...</option>
+                                    ${ALL_UNIQUE_TIME_SLOTS.map(slot => `<option value="${slot}">${slot}</option>`).join('')}
+                                </select>
+                                <div class="flex items-center gap-2">
+                                    <input type="time" id="free-room-from" value="12:31" onchange="renderFreeRooms()" class="p-2 border border-gray-300 rounded-lg">
+                                    <span class="text-gray-500">to</span>
+                                    <input type="time" id="free-room-to" value="13:50" onchange="renderFreeRooms()" class="p-2 border border-gray-300 rounded-lg">
+                                </div>
+                            </div>
+                            <div id="free-room-results" class="mt-4 max-h-[50vh] custom-scroll overflow-y-auto"></div>
+                        </div>
+
+                        <!-- Utilization Heatmap (Right, 2/3 space) -->
+                        <div class="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg overflow-hidden">
+                            <h2 class="text-2xl font-bold text-gray-800 mb-1 border-b pb-2">Room Utilization</h2>
+                            <p class="text-xs text-gray-500 mb-3">Share of teaching hours booked per day. Click a room to see its timetable.</p>
+                            <div id="room-heatmap" class="max-h-[60vh] custom-scroll overflow-auto"></div>
+                        </div>
+                    </div>
+
+                    <div class="bg-white p-6 rounded-xl shadow-lg overflow-hidden">
+                        <div id="room-details">
+                            <p class="text-center text-gray-500 py-4">Select a room in the heatmap to see its weekly timetable.</p>
+                        </div>
+                    </div>
+                `;
+                document.getElementById('free-room-slot').value = '12:31:PM - 01:50:PM';
+                renderFreeRooms();
+                renderRoomHeatmap();
+                renderRoomDoubleBookings();
+                renderRoomDetails();
+
+            } else if (viewState === 'offeringDiff') {
+                container.innerHTML = `
+                    <div class="flex justify-start mb-6">
+                        <button onclick="closeBrowserView()"
+                            class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 flex items-center">
+                            <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 19l-7-7m0 0l7-7m-7 7h18"></path></svg>
+                            Back
+                        </button>
+                    </div>
+
+                    <div class="bg-white p-6 rounded-xl shadow-lg mb-8">
+                        <h2 class="text-2xl font-bold text-gray-800 mb-2 border-b pb-2">Compare Offering Versions</h2>
+                        <p class="text-sm text-gray-600 mb-4">
+                            Compares an older offerings file with the one currently loaded
+                            (<strong>${currentDataset ? currentDataset.name : 'current data'}</strong>).
+                            Loading a new data source keeps the old one here automatically.
+                        </p>
+                        <div class="flex flex-wrap items-center gap-2 text-sm">
+                            ${previousDataset ? `
+                                <button onclick="usePreviousDatasetForDiff()"
+                                    class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150">
+                                    Compare with previous (${previousDataset.name})
+                                </button>
+                            ` : ''}
+                            <label class="py-2 px-4 rounded-lg bg-indigo-600 text-white font-semibold shadow-md hover:bg-indigo-700 transition duration-150 cursor-pointer">
+                                Choose older file...
+                                <input type="file" id="offering-diff-file" accept=".csv,.json,.xlsx" class="hidden" onchange="loadOfferingDiffFile(this.files[0])">
+                            </label>
+                        </div>
+                        <p id="offering-diff-error" class="text-sm text-red-600 font-semibold mt-2 hidden"></p>
+                    </div>
+
+                    <div id="offering-diff-results"></div>
+                `;
+                renderOfferingDiff();
+            }
+        }
+
+        /** Changes the view state and re-renders the app. */
+        window.changeView = function(newView) {
+            viewState = newView;
+            // Leaving View 2 closes the course; its filters stay in courseFilters for next time
+            if (newView === 'courseSelection') {
+                currentFilters = createEmptyFilters();
+                currentView2CourseKey = null;
+            }
+            // Re-run the generator every time the view is opened, since the course set may have changed
+            if (newView === 'scheduleGeneration') {
+                runScheduleGenerator();
+            }
+            renderApp();
+            persistSession();
+        }
+
+
+        // --- View 1: Course Selection and Filtering (Unchanged Logic) ---
+
+        /** Renders the collapsible list of CSV rows that were rejected during loading. */
+        function renderDataDiagnostics() {
+            const panel = document.getElementById('data-diagnostics');
+            if (!panel) return;
+
+            if (dataDiagnostics.length === 0) {
+                panel.classList.add('hidden');
+                return;
+            }
+
+            panel.classList.remove('hidden');
+            panel.innerHTML = `
+                <div id="diagnostics-toggle" class="flex items-center justify-between cursor-pointer">
+                    <p class="font-semibold text-sm text-yellow-800">
+                        ${dataDiagnostics.length} row${dataDiagnostics.length === 1 ? ' was' : 's were'} skipped while loading the course data
+                    </p>
+                    <span id="diagnostics-arrow" class="text-lg ml-2 text-yellow-800">▶</span>
+                </div>
+                <ul id="diagnostics-content" class="mt-2 max-h-40 overflow-y-auto custom-scroll text-xs text-yellow-900 space-y-1 hidden">
+                    ${dataDiagnostics.map(d => `<li><strong>Line ${d.line}:</strong> ${d.reason}</li>`).join('')}
+                </ul>
+            `;
+
+            const content = document.getElementById('diagnostics-content');
+            const arrow = document.getElementById('diagnostics-arrow');
+            document.getElementById('diagnostics-toggle').addEventListener('click', () => {
+                content.classList.toggle('hidden');
+                arrow.textContent = content.classList.contains('hidden') ? '▶' : '▼';
+            });
+        }
+
+        /** Populates the program filter dropdown. */
+        function populateProgramFilter() {
+            const filter = document.getElementById('program-filter');
+            if (!filter) return;
+            filter.innerHTML = uniquePrograms.map(program =>
+                `<option value="${program}">${program}</option>`
+            ).join('');
+            filter.value = 'All Programs'; // Default selection
+        }
+
+        /** Filters uniqueCourses based on search term and program selection. */
+        window.filterAndRenderCourses = function() {
+            const searchInput = document.getElementById('course-search');
+            const programFilter = document.getElementById('program-filter');
+
+            const searchTerm = searchInput ? searchInput.value.trim().toLowerCase() : '';
+            const selectedProgram = programFilter ? programFilter.value : 'All Programs';
+
+            // A new query starts keyboard navigation from the top match
+            if (searchTerm !== lastCourseSearchTerm) {
+                courseListActiveIndex = searchTerm ? 0 : -1;
+                lastCourseSearchTerm = searchTerm;
+            }
+
+            courseSearchMatches = new Map();
+            const filteredCourses = uniqueCourses.filter(course => {
+                const matchesProgram = selectedProgram === 'All Programs' || course['Program'] === selectedProgram;
+                if (!matchesProgram) return false;
+                if (!searchTerm) return true;
+
+                const match = matchCourse(course, searchTerm);
+                if (match) courseSearchMatches.set(course.key, match);
+                return match !== null;
+            });
+
+            renderFilteredCourseList(filteredCourses);
+            renderCompletedCourses();
+        }
+
+        /** Renders the list of filtered courses in View 1. */
+        function renderFilteredCourseList(courses) {
+            const listElement = document.getElementById('course-list-selection');
+            const summaryElement = document.getElementById('pre-selected-summary');
+            const goBtn = document.getElementById('go-to-assignment-btn');
+            if (!listElement || !summaryElement || !goBtn) return;
+
+            sortCoursesForDisplay(courses);
+            if (courseSearchMatches.size > 0) {
+                // Best matches first; the chosen sort order breaks ties
+                courses.sort((a, b) => courseSearchMatches.get(b.key).score - courseSearchMatches.get(a.key).score);
+            }
+            renderedCourseKeys = courses.map(course => course.key);
+            if (courseListActiveIndex >= courses.length) courseListActiveIndex = courses.length - 1;
+
+            listElement.innerHTML = '';
+            summaryElement.innerHTML = '';
+
+            let selectedCount = 0;
+
+            courses.forEach((course, index) => {
+                const key = course.key;
+                const isSelected = selectedCoursesForAssignment.has(key);
+                const searchMatch = courseSearchMatches.get(key);
+
+                // --- Render Course List Card ---
+                const unmetPrerequisites = getUnmetPrerequisites(course);
+                const isEligible = unmetPrerequisites.length === 0;
+                const isCompleted = completedCourses.has(course['Formal Code']);
+                const planInfo = getPrerequisiteInfo(course);
+
+                const card = document.createElement('div');
+                card.className = `w-full text-left p-3 rounded-xl border-2 transition duration-150 ease-in-out flex justify-between items-center
+                                ${isSelected ? 'course-selected cursor-pointer' : isEligible ? 'bg-white border-gray-200 hover:bg-gray-100 cursor-pointer' : 'bg-gray-100 border-gray-200 opacity-60'}
+                                ${index === courseListActiveIndex ? 'ring-2 ring-indigo-400' : ''}`;
+                card.dataset.courseKey = key;
+                const partner = uniqueCourses.find(c => c.key === coursePairs.get(key));
+                card.innerHTML = `
+                    <div>
+                        <div class="font-bold text-base text-gray-900">
+                            ${searchMatch ? highlightRanges(course['Formal Code'], searchMatch.codeRanges) : course['Formal Code']} (${course['Cr.']} Cr.)
+                            ${isCompleted ? '<span class="ml-2 text-xs font-semibold text-green-700">Completed</span>' : ''}
+                        </div>
+                        <div class="text-sm text-gray-600">${searchMatch ? highlightRanges(course['Title'], searchMatch.titleRanges) : course['Title']}</div>
+                        ${searchMatch && searchMatch.extra.length > 0 ? `<div class="text-xs text-gray-500">${searchMatch.extra.join(' · ')}</div>` : ''}
+                        <div class="text-xs font-medium text-indigo-500">
+                            ${course['Program']}
+                            ${planInfo ? `<span class="ml-2 text-gray-500">Term ${planInfo.term}</span>` : ''}
+                            ${partner ? `<span class="ml-2 text-gray-500">${isLabCourse(key) ? 'Theory' : 'Lab'}: ${partner['Formal Code']}</span>` : ''}
+                        </div>
+                        ${isEligible ? '' : `<div class="text-xs font-semibold text-red-600 mt-1">Requires: ${unmetPrerequisites.join(', ')}</div>`}
+                    </div>
+                `;
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = isSelected;
+                checkbox.disabled = !isEligible && !isSelected; // Still allow dropping an ineligible course
+                checkbox.className = 'w-5 h-5 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500';
+                checkbox.onclick = (e) => handleCourseToggle(key, e);
+
+                card.appendChild(checkbox);
+                listElement.appendChild(card);
+
+                // --- Render Pre-Selected Summary ---
+                if (isSelected) {
+                    selectedCount++;
+                    const summaryItem = document.createElement('div');
+                    summaryItem.className = 'p-3 rounded-lg bg-indigo-50 text-indigo-800 border border-indigo-200 text-sm font-semibold';
+                    summaryItem.textContent = `${course['Formal Code']} - ${course['Title']}`;
+                    if (!isEligible) {
+                        summaryItem.className = 'p-3 rounded-lg bg-red-50 text-red-800 border border-red-200 text-sm font-semibold';
+                        summaryItem.textContent += ` (prerequisites not met: ${unmetPrerequisites.join(', ')})`;
+                    }
+                    summaryElement.appendChild(summaryItem);
+                }
+            });
+
+            if (selectedCount === 0) {
+                 summaryElement.innerHTML = '<p class="text-center text-gray-500">No courses selected yet.</p>';
+            }
+
+            // Update button state and text
+            goBtn.disabled = selectedCount === 0;
+            goBtn.textContent = `Go to Section Assignment (${selectedCount})`;
+            renderPairPrompt();
+
+            const activeCard = listElement.children[courseListActiveIndex];
+            if (activeCard && activeCard.scrollIntoView) activeCard.scrollIntoView({ block: 'nearest' });
+        }
+
+        /** Handles course selection/deselection in View 1. */
+        function handleCourseToggle(courseKey, event) {
+            // Stop propagation to prevent card click event if we were using it
+            event.stopPropagation();
+
+            if (selectedCoursesForAssignment.has(courseKey)) {
+                selectedCoursesForAssignment.delete(courseKey);
+                // Also remove section assignment if user decides to drop the course entirely
+                delete selectedSections[courseKey];
+                if (pairPrompt && pairPrompt.courseKey === courseKey) pairPrompt = null;
+            } else {
+                addCourseToPlan(courseKey);
+            }
+
+            // Re-render the course list to update colors and the summary panel
+            filterAndRenderCourses();
+            persistSession();
+        }
+
+        /**
+         * Adds a course to the plan and offers its theory/lab partner. Follows the same
+         * rule as the disabled checkbox: courses with unmet prerequisites are refused.
+         * @returns {boolean} False when the course could not be added.
+         */
+        function addCourseToPlan(courseKey) {
+            const course = uniqueCourses.find(c => c.key === courseKey);
+            if (!course || getUnmetPrerequisites(course).length > 0) return false;
+
+            selectedCoursesForAssignment.add(courseKey);
+            // Offer to add the theory/lab partner as well
+            const partnerKey = coursePairs.get(courseKey);
+            pairPrompt = partnerKey && !selectedCoursesForAssignment.has(partnerKey) ? { courseKey, partnerKey } : null;
+            return true;
+        }
+
+
+        // --- Course Search ---
+
+        const COURSE_SEARCH_DELAY_MS = 150; // Typing pause before the course list is re-filtered
+
+        /** Lower-cases text and strips everything but letters and digits ("CSE 2215" → "cse2215"). */
+        function compactText(text) {
+            return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        }
+
+        /** Levenshtein distance between two strings, giving up (returning max + 1) once it exceeds max. */
+        function editDistance(a, b, max) {
+            if (Math.abs(a.length - b.length) > max) return max + 1;
+            let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    rowMin = Math.min(rowMin, current[j]);
+                }
+                if (rowMin > max) return max + 1;
+                previous = current;
+            }
+            return previous[b.length];
+        }
+
+        /** Typos allowed for a search token: none for short tokens, one from 4 letters, two from 8. */
+        function allowedTypos(token) {
+            return token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+        }
+
+        /** Collects the searchable fields of every course: code, title words, faculty and rooms. */
+        function buildCourseSearchIndex() {
+            const index = new Map();
+            uniqueCourses.forEach(course => {
+                const rows = allCoursesData.filter(row => getCourseKey(row) === course.key);
+                const faculty = new Map(); // Initial -> full name
+                rows.forEach(row => {
+                    if (row['Initial'] || row['Faculty Full Name']) faculty.set(row['Initial'] || '', row['Faculty Full Name'] || '');
+                });
+                const rooms = new Set(rows.flatMap(row => [row['Room1'], row['Room2']]).filter(room => room && room.trim()));
+
+                index.set(course.key, {
+                    code: compactText(course['Formal Code']),
+                    titleWords: course['Title'].toLowerCase().split(/[^a-z0-9]+/).filter(Boolean),
+                    faculty: Array.from(faculty, ([initial, name]) => ({ initial, name, words: name.toLowerCase().split(/[^a-z]+/).filter(Boolean) })),
+                    rooms: Array.from(rooms)
+                });
+            });
+            return index;
+        }
+
+        /** Finds where a word occurs in text (case-insensitive) as [start, end) ranges. */
+        function findRanges(text, word) {
+            const ranges = [];
+            const lower = text.toLowerCase();
+            let from = 0;
+            let at;
+            while (word && (at = lower.indexOf(word, from)) !== -1) {
+                ranges.push([at, at + word.length]);
+                from = at + word.length;
+            }
+            return ranges;
+        }
+
+        /** Maps a match in compacted text back onto the original (e.g. "cse2215" inside "CSE 2215"). */
+        function findCompactRanges(text, compactWord) {
+            const positions = []; // Original index of each kept character
+            String(text).split('').forEach((char, i) => {
+                if (/[a-z0-9]/i.test(char)) positions.push(i);
+            });
+            const at = compactText(text).indexOf(compactWord);
+            if (at === -1 || !compactWord) return [];
+            return [[positions[at], positions[at + compactWord.length - 1] + 1]];
+        }
+
+        /** Escapes text for HTML and wraps the given ranges in <mark>. Overlapping ranges are merged. */
+        function highlightRanges(text, ranges) {
+            if (!ranges || ranges.length === 0) return escapeHTML(text);
+            const merged = [...ranges].sort((a, b) => a[0] - b[0]).reduce((list, range) => {
+                const last = list[list.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    list.push([...range]);
+                }
+                return list;
+            }, []);
+
+            let html = '';
+            let position = 0;
+            merged.forEach(([start, end]) => {
+                html += escapeHTML(text.slice(position, start)) + `<mark class="bg-yellow-200 rounded">${escapeHTML(text.slice(start, end))}</mark>`;
+                position = end;
+            });
+            return html + escapeHTML(text.slice(position));
+        }
+
+        /**
+         * Scores a course against a search query. Every word of the query must match some field:
+         * the code (spaces optional), a title word, a faculty name or initial, or a room; small
+         * typos are tolerated in titles and names.
+         * @returns {{ score: number, codeRanges: number[][], titleRanges: number[][], extra: string[] }|null}
+         *          Null when some word matches nothing. `extra` describes faculty/room matches.
+         */
+        function matchCourse(course, query) {
+            const entry = courseSearchIndex.get(course.key);
+            if (!entry) return null;
+
+            const result = { score: 0, codeRanges: [], titleRanges: [], extra: [] };
+            const compactQuery = compactText(query);
+
+            // The whole query as a code ("cse2215", "cse 22", "2215")
+            if (compactQuery && entry.code.includes(compactQuery)) {
+                result.score += entry.code === compactQuery ? 200 : entry.code.startsWith(compactQuery) ? 150 : 100;
+                result.codeRanges = findCompactRanges(course['Formal Code'], compactQuery);
+                return result;
+            }
+
+            for (const token of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+                const compactToken = compactText(token);
+                if (!compactToken) continue;
+                const typos = allowedTypos(compactToken);
+                let best = null; // { score, apply() }
+
+                const consider = (score, apply) => {
+                    if (!best || score > best.score) best = { score, apply };
+                };
+
+                if (entry.code.includes(compactToken)) {
+                    consider(entry.code.startsWith(compactToken) ? 60 : 45, () => {
+                        result.codeRanges.push(...findCompactRanges(course['Formal Code'], compactToken));
+                    });
+                }
+
+                entry.titleWords.forEach(word => {
+                    if (word.startsWith(compactToken)) {
+                        consider(word === compactToken ? 50 : 40, () => result.titleRanges.push(...findRanges(course['Title'], compactToken)));
+                    } else if (word.includes(compactToken)) {
+                        consider(30, () => result.titleRanges.push(...findRanges(course['Title'], compactToken)));
+                    } else if (typos > 0 && editDistance(compactToken, word.slice(0, compactToken.length + typos), typos) <= typos) {
+                        consider(20, () => result.titleRanges.push(...findRanges(course['Title'], word)));
+                    }
+                });
+
+                entry.faculty.forEach(({ initial, name, words }) => {
+                    const label = `Faculty: ${name}${initial ? ` (${initial})` : ''}`;
+                    if (initial && initial.toLowerCase() === compactToken) {
+                        consider(35, () => result.extra.push(highlightRanges(label, findRanges(label, `(${compactToken})`).map(([a, b]) => [a + 1, b - 1]))));
+                    } else if (words.some(word => word.startsWith(compactToken))) {
+                        consider(30, () => result.extra.push(highlightRanges(label, findRanges(label, compactToken))));
+                    } else if (typos > 0 && words.some(word => editDistance(compactToken, word, typos) <= typos)) {
+                        const word = words.find(w => editDistance(compactToken, w, typos) <= typos);
+                        consider(15, () => result.extra.push(highlightRanges(label, findRanges(label, word))));
+                    }
+                });
+
+                entry.rooms.forEach(room => {
+                    if (compactText(room).startsWith(compactToken)) {
+                        consider(25, () => result.extra.push(highlightRanges(`Room ${room}`, findCompactRanges(`Room ${room}`, compactToken))));
+                    }
+                });
+
+                if (!best) return null; // Every word has to match something
+                result.score += best.score;
+                best.apply();
+            }
+
+            result.extra = [...new Set(result.extra)];
+            return result;
+        }
+
+        /** Re-filters the course list once typing pauses, so long lists are not rebuilt on every keystroke (View 1). */
+        window.scheduleCourseSearch = function() {
+            clearTimeout(courseSearchTimer);
+            courseSearchTimer = setTimeout(() => {
+                courseSearchTimer = null;
+                filterAndRenderCourses();
+            }, COURSE_SEARCH_DELAY_MS);
+        }
+
+        /** Arrow keys move through the course list; Enter toggles the highlighted course (View 1). */
+        window.handleCourseListKeydown = function(event) {
+            if (!['ArrowDown', 'ArrowUp', 'Enter'].includes(event.key)) return;
+            // Apply a pending search first so the keys act on the list for the typed query
+            if (courseSearchTimer) {
+                clearTimeout(courseSearchTimer);
+                courseSearchTimer = null;
+                filterAndRenderCourses();
+            }
+            if (renderedCourseKeys.length === 0) return;
+
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                courseListActiveIndex = Math.min(Math.max(courseListActiveIndex + step, 0), renderedCourseKeys.length - 1);
+                filterAndRenderCourses();
+            } else if (event.key === 'Enter' && courseListActiveIndex >= 0) {
+                event.preventDefault();
+                handleCourseToggle(renderedCourseKeys[courseListActiveIndex], event);
+            }
+        }
+
+        // --- Faculty Browser ---
+
+        const UNASSIGNED_FACULTY_ID = 'unassigned';
+        const UNASSIGNED_FACULTY_NAMES = ['', 'tba', 'tbd', 'na', 'unassigned']; // Compared after compactText()
+        const FACULTY_TITLE_PATTERN = /^(mr|mrs|ms|dr|prof|professor|engr)\.?\s+/i; // Ignored when comparing names
+
+        /** Normalizes a faculty name for comparison: no honorifics, single spaces, lower case. */
+        function normalizeFacultyName(name) {
+            let text = String(name || '').replace(/\s+/g, ' ').trim(); // \s also covers non-breaking spaces
+            while (FACULTY_TITLE_PATTERN.test(text)) text = text.replace(FACULTY_TITLE_PATTERN, '');
+            return text.toLowerCase();
+        }
+
+        /** Checks whether an Initial is a real initial rather than a placeholder like "TBA". */
+        function isRealInitial(initial) {
+            return !UNASSIGNED_FACULTY_NAMES.includes(compactText(initial));
+        }
+
+        /**
+         * Identifies the instructor of a section. Rows are matched by full name, so the same
+         * person listed under two initials is one instructor; rows without a name fall back to
+         * the initial, and rows with neither (or "TBA") are unassigned.
+         */
+        function getFacultyId(row) {
+            const name = normalizeFacultyName(row['Faculty Full Name']);
+            if (!UNASSIGNED_FACULTY_NAMES.includes(compactText(name))) return `name:${name}`;
+            if (isRealInitial(row['Initial'])) return `initial:${row['Initial'].trim()}`;
+            return UNASSIGNED_FACULTY_ID;
+        }
+
+        /**
+         * Groups every section by instructor.
+         * @returns {Array<{ id, name, initials: string[], sections: object[], isUnassigned: boolean }>}
+         *          Sorted by name, with the unassigned group last.
+         */
+        function buildFacultyDirectory() {
+            const byId = new Map();
+            allCoursesData.forEach(row => {
+                const id = getFacultyId(row);
+                if (!byId.has(id)) {
+                    byId.set(id, {
+                        id,
+                        name: id === UNASSIGNED_FACULTY_ID ? 'TBA / Not yet assigned' : (row['Faculty Full Name'] || row['Initial']).replace(/\s+/g, ' ').trim(),
+                        initials: [],
+                        sections: [],
+                        isUnassigned: id === UNASSIGNED_FACULTY_ID
+                    });
+                }
+                const entry = byId.get(id);
+                entry.sections.push(row);
+                const initial = (row['Initial'] || '').trim();
+                if (isRealInitial(initial) && !entry.initials.includes(initial)) entry.initials.push(initial);
+            });
+
+            return Array.from(byId.values()).sort((a, b) =>
+                (a.isUnassigned - b.isUnassigned) || normalizeFacultyName(a.name).localeCompare(normalizeFacultyName(b.name))
+            );
+        }
+
+        /** Back button of the browser views (BROWSER_VIEWS): returns to the view they were opened from. */
+        window.closeBrowserView = function() {
+            changeView(browserReturnView);
+        }
+
+        /** Opens the faculty browser, remembering where to go back to. */
+        window.openFacultyBrowser = function() {
+            browserReturnView = BROWSER_VIEWS.includes(viewState) ? browserReturnView : viewState;
+            changeView('facultyBrowser');
+        }
+
+        /** Renders the searchable instructor list; assigned instructors first, TBA separately. */
+        window.renderFacultyList = function() {
+            const list = document.getElementById('faculty-list');
+            if (!list) return;
+
+            const searchInput = document.getElementById('faculty-browser-search');
+            const search = searchInput ? searchInput.value.trim().toLowerCase() : '';
+            const matches = facultyDirectory.filter(entry =>
+                !search || entry.name.toLowerCase().includes(search) || entry.initials.some(initial => initial.toLowerCase().includes(search))
+            );
+
+            const item = (entry) => {
+                const courseCount = new Set(entry.sections.map(getCourseKey)).size;
+                const isActive = entry.id === selectedFacultyId;
+                return `
+                    <button onclick="selectFaculty('${entry.id.replace(/'/g, "\\'")}')"
+                        class="w-full text-left p-3 rounded-lg border-2 transition duration-150 ${isActive ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:bg-gray-100'}">
+                        <div class="font-semibold text-sm text-gray-900">${escapeHTML(entry.name)}</div>
+                        <div class="text-xs text-gray-500">
+                            ${entry.initials.length > 0 ? escapeHTML(entry.initials.join(', ')) + ' · ' : ''}${entry.sections.length} section${entry.sections.length === 1 ? '' : 's'} in ${courseCount} course${courseCount === 1 ? '' : 's'}
+                        </div>
+                    </button>
+                `;
+            };
+
+            const assigned = matches.filter(entry => !entry.isUnassigned);
+            const unassigned = matches.filter(entry => entry.isUnassigned);
+            list.innerHTML = assigned.map(item).join('') +
+                (unassigned.length > 0 ? `<p class="pt-3 text-xs font-semibold text-gray-500 uppercase">Not yet assigned</p>${unassigned.map(item).join('')}` : '') ||
+                '<p class="text-center text-gray-500">No instructors found.</p>';
+        }
+
+        /** Shows an instructor's sections and timetable. */
+        window.selectFaculty = function(facultyId) {
+            selectedFacultyId = facultyId;
+            renderFacultyList();
+            renderFacultyDetails();
+        }
+
+        /** Renders the selected instructor's sections (grouped by course) and weekly timetable. */
+        function renderFacultyDetails() {
+            const container = document.getElementById('faculty-details');
+            const entry = facultyDirectory.find(e => e.id === selectedFacultyId);
+            if (!container || !entry) return;
+
+            const courseKeys = [...new Set(entry.sections.map(getCourseKey))].sort();
+            const plannedKeys = courseKeys.filter(key => selectedCoursesForAssignment.has(key));
+
+            const courseBlocks = courseKeys.map(courseKey => {
+                const sections = entry.sections.filter(section => getCourseKey(section) === courseKey);
+                const isPlanned = selectedCoursesForAssignment.has(courseKey);
+                const course = uniqueCourses.find(c => c.key === courseKey);
+                const unmetPrerequisites = isPlanned ? [] : getUnmetPrerequisites(course);
+                return `
+                    <div class="p-3 rounded-lg border border-gray-200">
+                        <div class="flex justify-between items-center mb-1">
+                            <p class="font-semibold text-sm text-gray-800">${escapeHTML(`${course['Formal Code']} - ${course['Title']}`)}</p>
+                            ${entry.isUnassigned ? '' : unmetPrerequisites.length > 0 ? `
+                                <span class="text-xs font-semibold text-red-600">Requires: ${escapeHTML(unmetPrerequisites.join(', '))}</span>` : `
+                                <button onclick="viewFacultySections('${courseKey.replace(/'/g, "\\'")}')"
+                                    class="py-1 px-2 rounded-lg text-xs font-semibold transition duration-150 ${isPlanned ? 'bg-indigo-600 text-white hover:bg-indigo-700' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}">
+                                    ${isPlanned ? 'View sections' : 'Add course & view sections'}
+                                </button>
+                            `}
+                        </div>
+                        <ul class="text-xs text-gray-700 space-y-1">
+                            ${sections.map(section => `
+                                <li>
+                                    <strong>${escapeHTML(section['Section'])}</strong>
+                                    ${entry.isUnassigned ? '' : `<span class="text-gray-500">(${escapeHTML(section['Initial'])})</span>`}:
+                                    ${escapeHTML(getSectionSchedule(section).map(slot => `${slot.day} ${timeSlotToString(slot.start)}-${timeSlotToString(slot.end)}${slot.room ? ` (${slot.room})` : ''}`).join(', ') || 'No scheduled time')}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `;
+            }).join('');
+
+            container.innerHTML = `
+                <h2 class="text-2xl font-bold text-gray-800 mb-1">${escapeHTML(entry.name)}</h2>
+                <p class="text-sm text-gray-600 mb-4 border-b pb-2">
+                    ${escapeHTML(entry.initials.length > 1 ? `Listed under initials ${entry.initials.join(' and ')}.` : entry.initials.length === 1 ? `Initial: ${entry.initials[0]}.` : '')}
+                    ${entry.sections.length} section${entry.sections.length === 1 ? '' : 's'} across ${courseKeys.length} course${courseKeys.length === 1 ? '' : 's'}.
+                </p>
+                ${!entry.isUnassigned && plannedKeys.length > 0 ? `
+                    <button onclick="takeAllWithFaculty()"
+                        class="mb-4 py-2 px-4 rounded-lg bg-indigo-600 text-white font-semibold shadow-md hover:bg-indigo-700 transition duration-150">
+                        Take all my courses with ${escapeHTML(entry.name)} (${plannedKeys.length})
+                    </button>
+                ` : ''}
+                ${entry.isUnassigned ? '' : `
+                    <h3 class="text-lg font-semibold text-gray-800 mb-2">Weekly Timetable</h3>
+                    <div id="faculty-timetable" class="custom-scroll overflow-x-auto mb-6"></div>
+                `}
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Sections</h3>
+                <div class="space-y-3">${courseBlocks}</div>
+            `;
+
+            const timetable = document.getElementById('faculty-timetable');
+            if (timetable) {
+                renderTimetableGrid(timetable, sectionsToTimetableBlocks(entry.sections, courseKeys), { includeBusyBlocks: false });
+            }
+        }
+
+        /**
+         * Narrows a course's section filters to the selected instructor. Initials are used when
+         * the instructor has real ones; otherwise the name goes into the faculty search.
+         */
+        function applyFacultyFilter(courseKey, entry) {
+            const filters = createEmptyFilters();
+            if (entry.initials.length > 0) {
+                filters.faculty = [...entry.initials];
+            } else {
+                filters.facultySearch = entry.name;
+            }
+            courseFilters[courseKey] = filters;
+        }
+
+        /** Jumps to View 2 with one course's sections filtered to the selected instructor. */
+        window.viewFacultySections = function(courseKey) {
+            const entry = facultyDirectory.find(e => e.id === selectedFacultyId);
+            const course = uniqueCourses.find(c => c.key === courseKey);
+            if (!entry || !course) return;
+            if (!selectedCoursesForAssignment.has(courseKey) && !addCourseToPlan(courseKey)) return;
+
+            persistSession();
+            applyFacultyFilter(courseKey, entry);
+            changeView('sectionAssignment');
+            displaySections(course);
+        }
+
+        /** Filters every planned course this instructor teaches to them and opens the first one in View 2. */
+        window.takeAllWithFaculty = function() {
+            const entry = facultyDirectory.find(e => e.id === selectedFacultyId);
+            if (!entry) return;
+
+            const plannedKeys = [...new Set(entry.sections.map(getCourseKey))]
+                .filter(key => selectedCoursesForAssignment.has(key))
+                .sort();
+            if (plannedKeys.length === 0) return;
+
+            plannedKeys.forEach(courseKey => applyFacultyFilter(courseKey, entry));
+            changeView('sectionAssignment');
+            displaySections(uniqueCourses.find(c => c.key === plannedKeys[0]));
+        }
+
+        // --- Room Utilization & Availability ---
+
+        /** Identifies a room regardless of its "(Computer Lab)" suffix; null for blank or TBA rooms. */
+        function getRoomId(room) {
+            const id = String(room || '').replace(/\s*\(.*\)$/, '').replace(/\s+/g, ' ').trim();
+            return id && !/^(TBA|N\/A|-)$/i.test(id) ? id : null;
+        }
+
+        /**
+         * Builds the room × day × time occupancy from every meeting in allCoursesData.
+         * A row that repeats a meeting (Wed/Wed) books it once.
+         * @returns {Map<string, { id, label, isLab, meetings: Array<{ day, start, end, section }> }>}
+         */
+        function buildRoomOccupancy() {
+            const rooms = new Map();
+            allCoursesData.forEach(row => {
+                getSectionSchedule(row).forEach(slot => {
+                    const id = getRoomId(slot.room);
+                    if (!id) return;
+                    if (!rooms.has(id)) rooms.set(id, { id, label: slot.room.trim(), isLab: false, meetings: [] });
+
+                    const room = rooms.get(id);
+                    if (LAB_ROOM_PATTERN.test(slot.room)) {
+                        room.isLab = true;
+                        room.label = slot.room.trim(); // Prefer the descriptive label
+                    }
+                    const isRepeat = room.meetings.some(m => m.section === row && m.day === slot.day && m.start === slot.start && m.end === slot.end);
+                    if (!isRepeat) room.meetings.push({ day: slot.day, start: slot.start, end: slot.end, section: row });
+                });
+            });
+            return rooms;
+        }
+
+        /** Orders rooms numerically where possible ("304" before "1204"), then by name. */
+        function compareRoomIds(a, b) {
+            return a.localeCompare(b, undefined, { numeric: true });
+        }
+
+        /**
+         * Finds meetings of different classes booked into the same room at overlapping times.
+         * The same class listed under several programs (same code and section) is not a clash.
+         * @returns {Array<{ room, day, start, end, a, b }>} a/b are the two section rows.
+         */
+        function findRoomDoubleBookings(occupancy) {
+            const bookings = [];
+            occupancy.forEach(room => {
+                const meetings = [...room.meetings].sort((x, y) => DAY_ORDER.indexOf(x.day) - DAY_ORDER.indexOf(y.day) || x.start - y.start);
+                for (let i = 0; i < meetings.length; i++) {
+                    for (let j = i + 1; j < meetings.length; j++) {
+                        const x = meetings[i];
+                        const y = meetings[j];
+                        if (x.day !== y.day || !checkOverlap(x.start, x.end, y.start, y.end)) continue;
+                        const sameClass = x.section['Formal Code'] === y.section['Formal Code'] && x.section['Section'] === y.section['Section'];
+                        if (sameClass) continue;
+                        bookings.push({ room: room.label, day: x.day, start: Math.max(x.start, y.start), end: Math.min(x.end, y.end), a: x.section, b: y.section });
+                    }
+                }
+            });
+            return bookings;
+        }
+
+        /** Opens the room explorer, remembering where to go back to. */
+        window.openRoomExplorer = function() {
+            browserReturnView = BROWSER_VIEWS.includes(viewState) ? browserReturnView : viewState;
+            changeView('roomExplorer');
+        }
+
+        /** Copies a standard slot from the dropdown into the free-room time inputs. */
+        window.applyFreeRoomSlot = function(slot) {
+            if (!slot) return;
+            const { start, end } = parseTimeRange(slot);
+            document.getElementById('free-room-from').value = minutesToTimeInput(start);
+            document.getElementById('free-room-to').value = minutesToTimeInput(end);
+            renderFreeRooms();
+        }
+
+        /** Lists the rooms with no meeting during the chosen day and time, grouped by floor. */
+        window.renderFreeRooms = function() {
+            const results = document.getElementById('free-room-results');
+            if (!results) return;
+
+            const day = document.getElementById('free-room-day').value;
+            const start = timeInputToMinutes(document.getElementById('free-room-from').value);
+            const end = timeInputToMinutes(document.getElementById('free-room-to').value);
+            if (start === -1 || end === -1 || end <= start) {
+                results.innerHTML = '<p class="text-sm text-red-600 font-semibold">Please enter a start time before the end time.</p>';
+                return;
+            }
+
+            const free = Array.from(roomOccupancy.values())
+                .filter(room => !room.meetings.some(m => m.day === day && checkOverlap(m.start, m.end, start, end)))
+                .sort((a, b) => compareRoomIds(a.id, b.id));
+
+            const byFloor = new Map();
+            free.forEach(room => {
+                const location = getRoomLocation(room.label);
+                const floor = location ? `${location.building === roomDirectory.defaultBuilding ? '' : `${location.building} `}Floor ${location.floor}` : 'Other';
+                if (!byFloor.has(floor)) byFloor.set(floor, []);
+                byFloor.get(floor).push(room);
+            });
+
+            results.innerHTML = `
+                <p class="text-sm font-semibold text-gray-700 mb-2">${free.length} room${free.length === 1 ? '' : 's'} free on ${day}, ${timeSlotToString(start)} - ${timeSlotToString(end)}</p>
+                ${Array.from(byFloor, ([floor, rooms]) => `
+                    <p class="text-xs font-semibold text-gray-500 uppercase mt-2">${floor}</p>
+                    <div class="flex flex-wrap gap-1 mt-1">
+                        ${rooms.map(room => `
+                            <button onclick="selectRoom('${room.id.replace(/'/g, "\\'")}')"
+                                class="py-1 px-2 rounded text-xs font-semibold ${room.isLab ? 'bg-purple-100 text-purple-800' : 'bg-green-100 text-green-800'} hover:opacity-75">
+                                ${room.label}
+                            </button>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            `;
+        }
+
+        /** Renders the room × day heatmap of booked teaching hours. */
+        function renderRoomHeatmap() {
+            const container = document.getElementById('room-heatmap');
+            if (!container) return;
+
+            const days = getDataDays();
+            const range = getDataTimeRange();
+            const dayMinutes = range.end - range.start;
+            const rooms = Array.from(roomOccupancy.values()).sort((a, b) => compareRoomIds(a.id, b.id));
+
+            const cell = (fraction) => {
+                const alpha = Math.min(fraction, 1);
+                return `<td class="p-1 text-center border border-white" style="background-color: rgba(90, 103, 216, ${alpha.toFixed(2)}); color: ${alpha > 0.5 ? '#fff' : '#2d3748'};">${Math.round(fraction * 100)}%</td>`;
+            };
+
+            container.innerHTML = `
+                <table class="text-xs border-collapse w-full">
+                    <thead>
+                        <tr>
+                            <th class="p-1 text-left">Room</th>
+                            ${days.map(day => `<th class="p-1">${day}</th>`).join('')}
+                            <th class="p-1">Week</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rooms.map(room => {
+                            const bookedPerDay = days.map(day => room.meetings
+                                .filter(m => m.day === day)
+                                .reduce((sum, m) => sum + (m.end - m.start), 0));
+                            const weekly = bookedPerDay.reduce((sum, minutes) => sum + minutes, 0);
+                            return `
+                                <tr class="cursor-pointer hover:opacity-75 ${room.id === selectedRoomId ? 'font-bold' : ''}" onclick="selectRoom('${room.id.replace(/'/g, "\\'")}')">
+                                    <th class="p-1 text-left font-semibold text-gray-700 whitespace-nowrap">${room.label}</th>
+                                    ${bookedPerDay.map(minutes => cell(minutes / dayMinutes)).join('')}
+                                    ${cell(weekly / (dayMinutes * days.length))}
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        /** Lists double-booked rooms found in the offering data. */
+        function renderRoomDoubleBookings() {
+            const panel = document.getElementById('room-double-bookings');
+            if (!panel) return;
+
+            const bookings = findRoomDoubleBookings(roomOccupancy);
+            if (bookings.length === 0) {
+                panel.classList.add('hidden');
+                return;
+            }
+
+            panel.classList.remove('hidden');
+            panel.innerHTML = `
+                <p class="font-semibold text-sm text-red-800 mb-1">${bookings.length} room double-booking${bookings.length === 1 ? '' : 's'} found in the course data</p>
+                <ul class="text-xs text-red-900 space-y-1 max-h-40 overflow-y-auto custom-scroll">
+                    ${bookings.map(b => `
+                        <li><strong>Room ${b.room}, ${b.day} ${timeSlotToString(b.start)}-${timeSlotToString(b.end)}:</strong>
+                            ${b.a['Formal Code']} - ${b.a['Section']} and ${b.b['Formal Code']} - ${b.b['Section']}</li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        /** Shows a room's weekly timetable. */
+        window.selectRoom = function(roomId) {
+            selectedRoomId = roomId;
+            renderRoomHeatmap();
+            renderRoomDetails();
+        }
+
+        /** Renders the selected room's weekly timetable. */
+        function renderRoomDetails() {
+            const container = document.getElementById('room-details');
+            const room = roomOccupancy.get(selectedRoomId);
+            if (!container || !room) return;
+
+            container.innerHTML = `
+                <h2 class="text-2xl font-bold text-gray-800 mb-4 border-b pb-2">Room ${room.label}</h2>
+                <div id="room-timetable" class="custom-scroll overflow-x-auto"></div>
+            `;
+            // Draw only this room's meetings; a section's other meeting may be elsewhere
+            const colorKeys = [...new Set(room.meetings.map(m => getCourseKey(m.section)))].sort();
+            const blocks = room.meetings.map(m => ({
+                day: m.day,
+                start: m.start,
+                end: m.end,
+                label: `${m.section['Formal Code']} - ${m.section['Section']}`,
+                sublabel: m.section['Initial'] || '',
+                color: COURSE_COLORS[colorKeys.indexOf(getCourseKey(m.section)) % COURSE_COLORS.length]
+            }));
+            renderTimetableGrid(document.getElementById('room-timetable'), blocks, { includeBusyBlocks: false });
+        }
+
+        // --- Offering Diff ---
+
+        const OFFERING_DIFF_FIELDS = { // Change kind -> fields compared per (course, section)
+            time: ['Day1', 'Time1', 'Day2', 'Time2'],
+            room: ['Room1', 'Room2'],
+            faculty: ['Faculty Full Name', 'Initial']
+        };
+
+        /** Identifies a section across offering versions. */
+        function getSectionDiffKey(row) {
+            return `${getCourseKey(row)}|${row['Section']}`;
+        }
+
+        /**
+         * Compares two versions of the offerings by (course, section).
+         * Rows repeated across programs count once.
+         * @returns {{ addedCourses: string[], removedCourses: string[], addedSections: object[], removedSections: object[],
+         *             changedSections: Array<{ key, courseKey, before, after, changes: Array<{ kind, field, from, to }> }> }}
+         *          Courses are course keys; sections are rows.
+         */
+        function diffOfferings(oldRows, newRows) {
+            const index = rows => {
+                const sections = new Map();
+                rows.forEach(row => {
+                    const key = getSectionDiffKey(row);
+                    if (!sections.has(key)) sections.set(key, row);
+                });
+                return sections;
+            };
+            const oldSections = index(oldRows);
+            const newSections = index(newRows);
+            const oldCourses = new Set(oldRows.map(getCourseKey));
+            const newCourses = new Set(newRows.map(getCourseKey));
+
+            const changedSections = [];
+            newSections.forEach((after, key) => {
+                const before = oldSections.get(key);
+                if (!before) return;
+                const changes = Object.entries(OFFERING_DIFF_FIELDS).flatMap(([kind, fields]) => fields
+                    .filter(field => (before[field] || '').trim() !== (after[field] || '').trim())
+                    .map(field => ({ kind, field, from: before[field] || '', to: after[field] || '' })));
+                if (changes.length > 0) changedSections.push({ key, courseKey: getCourseKey(after), before, after, changes });
+            });
+
+            return {
+                addedCourses: [...newCourses].filter(key => !oldCourses.has(key)).sort(),
+                removedCourses: [...oldCourses].filter(key => !newCourses.has(key)).sort(),
+                addedSections: [...newSections].filter(([key]) => !oldSections.has(key)).map(([, row]) => row),
+                removedSections: [...oldSections].filter(([key]) => !newSections.has(key)).map(([, row]) => row),
+                changedSections
+            };
+        }
+
+        /**
+         * Finds which of the student's sections the diff touches: the current selections plus,
+         * when comparing with the replaced dataset, the sections picked before it was replaced.
+         * @returns {Array<{ label, status: 'courseRemoved'|'sectionRemoved'|'changed', changes }>}
+         */
+        function getAffectedSelections(diff, baseSelections) {
+            const plan = new Map();
+            Object.values({ ...baseSelections, ...selectedSections }).forEach(section => plan.set(getSectionDiffKey(section), section));
+
+            const removedCourses = new Set(diff.removedCourses);
+            const removedSections = new Set(diff.removedSections.map(getSectionDiffKey));
+            const affected = [];
+            plan.forEach((section, key) => {
+                const label = `${section['Formal Code']} - ${section['Section']}`;
+                const changed = diff.changedSections.find(change => change.key === key);
+                if (removedCourses.has(getCourseKey(section))) {
+                    affected.push({ label, status: 'courseRemoved', changes: [] });
+                } else if (removedSections.has(key)) {
+                    affected.push({ label, status: 'sectionRemoved', changes: [] });
+                } else if (changed) {
+                    affected.push({ label, status: 'changed', changes: changed.changes });
+                }
+            });
+            return affected;
+        }
+
+        /** Opens the offering diff, remembering where to go back to. */
+        window.openOfferingDiff = function() {
+            browserReturnView = BROWSER_VIEWS.includes(viewState) ? browserReturnView : viewState;
+            changeView('offeringDiff');
+        }
+
+        /** Compares against the offerings that the current dataset replaced. */
+        window.usePreviousDatasetForDiff = function() {
+            offeringDiffBase = previousDataset;
+            renderOfferingDiff();
+        }
+
+        /** Parses an older offerings file (columns mapped as for a normal load) and compares against it. */
+        window.loadOfferingDiffFile = async function(file) {
+            if (!file) return;
+            const errorElement = document.getElementById('offering-diff-error');
+            errorElement.classList.add('hidden');
+            try {
+                const parsed = await parseOfferingFile(file);
+                const { mapping, missing } = detectColumnMapping(parsed.headers);
+                if (missing.length > 0) {
+                    throw new Error(`Columns not recognised (${missing.join(', ')}). Load this file as a data source once to map them.`);
+                }
+                offeringDiffBase = { name: file.name, rows: normalizeRows(parsed.data, mapping), selectedSections: {} };
+                renderOfferingDiff();
+            } catch (error) {
+                console.error("Failed to load comparison file:", error);
+                errorElement.textContent = `${error.message} (${file.name})`;
+                errorElement.classList.remove('hidden');
+            }
+        }
+
+        /** Formats a section's meetings for the diff lists. */
+        function describeSectionMeetings(row) {
+            return getSectionSchedule(row)
+                .filter((slot, index, all) => all.findIndex(other => other.day === slot.day && other.start === slot.start) === index)
+                .map(slot => `${slot.day} ${timeSlotToString(slot.start)}-${timeSlotToString(slot.end)}${slot.room ? ` (${slot.room})` : ''}`)
+                .join(', ') || 'No scheduled time';
+        }
+
+        /** Renders the diff between offeringDiffBase and the loaded offerings. */
+        function renderOfferingDiff() {
+            const results = document.getElementById('offering-diff-results');
+            if (!results) return;
+
+            if (!offeringDiffBase) {
+                results.innerHTML = '<p class="text-center text-gray-500 py-8 bg-white rounded-xl shadow-lg">Choose an older offerings file to compare with.</p>';
+                return;
+            }
+
+            const diff = diffOfferings(offeringDiffBase.rows, allCoursesData);
+            const affected = getAffectedSelections(diff, offeringDiffBase.selectedSections);
+            const courseLabel = key => escapeHTML(key.replace('_', ' - '));
+            const sectionLabel = row => `<strong>${escapeHTML(row['Formal Code'])} - ${escapeHTML(row['Section'])}</strong>: ${escapeHTML(describeSectionMeetings(row))}`;
+            const statusText = {
+                courseRemoved: 'course is no longer offered',
+                sectionRemoved: 'section no longer exists'
+            };
+
+            const list = (title, items, color) => `
+                <div class="bg-white p-4 rounded-xl shadow-lg">
+                    <h3 class="font-bold text-gray-800 mb-2">${title} <span class="text-sm font-semibold ${color}">(${items.length})</span></h3>
+                    ${items.length === 0 ? '<p class="text-xs text-gray-500">None.</p>' : `
+                        <ul class="text-xs text-gray-700 space-y-1 max-h-64 overflow-y-auto custom-scroll">
+                            ${items.map(item => `<li>${item}</li>`).join('')}
+                        </ul>
+                    `}
+                </div>
+            `;
+
+            results.innerHTML = `
+                <p class="text-sm text-gray-600 mb-4">
+                    <strong>${escapeHTML(offeringDiffBase.name)}</strong> → <strong>${currentDataset ? escapeHTML(currentDataset.name) : 'current data'}</strong>
+                </p>
+
+                <!-- The student's own sections come first -->
+                <div class="mb-6 p-4 rounded-xl border ${affected.length > 0 ? 'bg-red-50 border-red-300' : 'bg-green-50 border-green-300'}">
+                    <p class="font-semibold text-sm ${affected.length > 0 ? 'text-red-800' : 'text-green-800'} mb-1">
+                        ${affected.length > 0
+                            ? `${affected.length} of your selected section${affected.length === 1 ? ' is' : 's are'} affected`
+                            : 'None of your selected sections are affected.'}
+                    </p>
+                    <ul class="text-xs text-red-900 space-y-1">
+                        ${affected.map(item => `
+                            <li><strong>${escapeHTML(item.label)}:</strong>
+                                ${item.status === 'changed'
+                                    ? item.changes.map(change => `${escapeHTML(change.field)} ${escapeHTML(change.from || '(none)')} → ${escapeHTML(change.to || '(none)')}`).join('; ')
+                                    : statusText[item.status]}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                    ${list('Added courses', diff.addedCourses.map(courseLabel), 'text-green-700')}
+                    ${list('Removed courses', diff.removedCourses.map(courseLabel), 'text-red-700')}
+                    ${list('Added sections', diff.addedSections.map(sectionLabel), 'text-green-700')}
+                    ${list('Removed sections', diff.removedSections.map(sectionLabel), 'text-red-700')}
+                </div>
+
+                <div class="bg-white p-4 rounded-xl shadow-lg overflow-x-auto">
+                    <h3 class="font-bold text-gray-800 mb-2">Changed sections <span class="text-sm font-semibold text-yellow-700">(${diff.changedSections.length})</span></h3>
+                    ${diff.changedSections.length === 0 ? '<p class="text-xs text-gray-500">None.</p>' : `
+                        <table class="text-xs w-full">
+                            <thead>
+                                <tr class="text-left text-gray-500">
+                                    <th class="p-1">Section</th><th class="p-1">Change</th><th class="p-1">Field</th><th class="p-1">Before</th><th class="p-1">After</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${diff.changedSections.flatMap(change => change.changes.map((field, index) => `
+                                    <tr class="${index === 0 ? 'border-t' : ''} ${selectedSections[change.courseKey] && getSectionDiffKey(selectedSections[change.courseKey]) === change.key ? 'bg-red-50' : ''}">
+                                        <td class="p-1 font-semibold">${index === 0 ? `${escapeHTML(change.after['Formal Code'])} - ${escapeHTML(change.after['Section'])}` : ''}</td>
+                                        <td class="p-1 capitalize">${field.kind}</td>
+                                        <td class="p-1">${escapeHTML(field.field)}</td>
+                                        <td class="p-1 text-red-700">${escapeHTML(field.from || '(none)')}</td>
+                                        <td class="p-1 text-green-700">${escapeHTML(field.to || '(none)')}</td>
+                                    </tr>
+                                `)).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+            `;
+        }
+
+        // --- Prerequisites & Degree Plan ---
+
+        const TRANSCRIPT_CODE_HEADERS = ['formalcode', 'coursecode', 'code', 'course']; // Compared after normalizeHeader()
+        const TRANSCRIPT_GRADE_HEADERS = ['grade', 'lettergrade', 'result'];
+        const FAILING_GRADES = ['F', 'W', 'I', 'U', 'X']; // Grades that do not satisfy a prerequisite
+        const COURSE_CODE_PATTERN = /^([A-Z]{2,4})\s*(\d{4}[A-Z]?)$/i;
+
+        /** Loads the prerequisite graph from the "programs" key. A missing or empty file only disables the eligibility checks. */
+        async function loadPrerequisiteGraph() {
+            try {
+                const response = await fetch(PREREQUISITES_URL);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const config = await response.json();
+                prerequisiteGraph = config.programs || {};
+            } catch (error) {
+                console.error("Failed to load prerequisites:", error);
+                prerequisiteGraph = {};
+            }
+        }
+
+        /** True when the prerequisite graph covers a program ('All Programs': any program). */
+        function hasPrerequisiteGraph(program) {
+            return program === 'All Programs' ? Object.keys(prerequisiteGraph).length > 0 : !!prerequisiteGraph[program];
+        }
+
+        /** Returns the degree-plan entry ({ term, prerequisites }) for a course, or null if the plan doesn't list it. */
+        function getPrerequisiteInfo(course) {
+            const programPlan = prerequisiteGraph[course['Program']];
+            return (programPlan && programPlan[course['Formal Code']]) || null;
+        }
+
+        /** Returns the prerequisite codes of a course that are not in completedCourses. */
+        function getUnmetPrerequisites(course) {
+            const info = getPrerequisiteInfo(course);
+            if (!info) return [];
+            return (info.prerequisites || []).filter(code => !completedCourses.has(code));
+        }
+
+        /** Counts the courses in a program's plan that depend on a course, directly or transitively. */
+        function countDependentCourses(program, formalCode) {
+            const programPlan = prerequisiteGraph[program] || {};
+            const dependents = new Set();
+            const queue = [formalCode];
+            while (queue.length > 0) {
+                const code = queue.shift();
+                Object.entries(programPlan).forEach(([candidate, info]) => {
+                    if (!dependents.has(candidate) && (info.prerequisites || []).includes(code)) {
+                        dependents.add(candidate);
+                        queue.push(candidate);
+                    }
+                });
+            }
+            return dependents.size;
+        }
+
+        /**
+         * Sorts courses in place for View 1. "Recommended next" puts eligible, not-yet-completed
+         * courses first (earliest plan term, then those unlocking the most later courses),
+         * followed by courses with unmet prerequisites and finally completed ones.
+         */
+        function sortCoursesForDisplay(courses) {
+            const byCode = (a, b) => a['Formal Code'].localeCompare(b['Formal Code']);
+            if (courseSortOrder !== 'recommended' || !hasPrerequisiteGraph('All Programs')) {
+                courses.sort(byCode);
+                return courses;
+            }
+
+            const rankOf = new Map(courses.map(course => {
+                const info = getPrerequisiteInfo(course);
+                const group = completedCourses.has(course['Formal Code']) ? 2 : getUnmetPrerequisites(course).length > 0 ? 1 : 0;
+                return [course.key, {
+                    group,
+                    term: info ? info.term : Infinity,
+                    dependents: countDependentCourses(course['Program'], course['Formal Code'])
+                }];
+            }));
+
+            courses.sort((a, b) => {
+                const rankA = rankOf.get(a.key);
+                const rankB = rankOf.get(b.key);
+                return rankA.group - rankB.group || rankA.term - rankB.term || rankB.dependents - rankA.dependents || byCode(a, b);
+            });
+            return courses;
+        }
+
+        /** Normalizes "cse1111" or "CSE  1111" to "CSE 1111"; returns null for anything else. */
+        function normalizeCourseCode(text) {
+            const match = String(text || '').trim().match(COURSE_CODE_PATTERN);
+            return match ? `${match[1].toUpperCase()} ${match[2].toUpperCase()}` : null;
+        }
+
+        /**
+         * Reads passed course codes from a transcript CSV. Uses a code/grade column when the
+         * header has one, otherwise takes every cell that looks like a course code.
+         * @returns {{ codes: string[], failed: string[] }} Passed codes and codes skipped for a failing grade.
+         */
+        function parseTranscript(csvText) {
+            const { headers, data } = parseCSV(csvText);
+            const codeColumn = headers.find(h => TRANSCRIPT_CODE_HEADERS.includes(normalizeHeader(h)));
+            const gradeColumn = headers.find(h => TRANSCRIPT_GRADE_HEADERS.includes(normalizeHeader(h)));
+
+            const codes = new Set();
+            const failed = new Set();
+            const rows = [headers.reduce((row, h) => ({ ...row, [h]: h }), {}), ...data]; // Header-less files keep their first line
+
+            rows.forEach(row => {
+                const candidates = codeColumn ? [row[codeColumn]] : Object.values(row);
+                candidates.map(normalizeCourseCode).filter(Boolean).forEach(code => {
+                    const grade = gradeColumn ? String(row[gradeColumn] || '').trim().toUpperCase() : '';
+                    if (FAILING_GRADES.includes(grade)) {
+                        failed.add(code);
+                    } else {
+                        codes.add(code);
+                    }
+                });
+            });
+
+            // A later pass of a failed course still counts
+            codes.forEach(code => failed.delete(code));
+            return { codes: Array.from(codes), failed: Array.from(failed) };
+        }
+
+        /**
+         * Renders the completed-course checkboxes for the selected program (or all programs).
+         * The panel and the recommended-next sort stay hidden for programs without a prerequisite graph.
+         */
+        function renderCompletedCourses() {
+            const panel = document.getElementById('completed-courses-panel');
+            const list = document.getElementById('completed-courses-list');
+            const count = document.getElementById('completed-count');
+            if (!panel || !list || !count) return;
+
+            const programFilter = document.getElementById('program-filter');
+            const selectedProgram = programFilter ? programFilter.value : 'All Programs';
+            const hasGraph = hasPrerequisiteGraph(selectedProgram);
+            panel.classList.toggle('hidden', !hasGraph);
+            document.getElementById('course-sort').classList.toggle('hidden', !hasGraph);
+            if (!hasGraph) return;
+            const programs = selectedProgram === 'All Programs' ? Object.keys(prerequisiteGraph) : [selectedProgram];
+
+            const codes = new Set(completedCourses);
+            programs.forEach(program => Object.keys(prerequisiteGraph[program] || {}).forEach(code => codes.add(code)));
+            uniqueCourses
+                .filter(course => selectedProgram === 'All Programs' || course['Program'] === selectedProgram)
+                .forEach(course => codes.add(course['Formal Code']));
+
+            count.textContent = completedCourses.size;
+            list.innerHTML = Array.from(codes).sort().map(code => `
+                <label class="flex items-center gap-1 text-gray-700">
+                    <input type="checkbox" value="${code}" ${completedCourses.has(code) ? 'checked' : ''}
+                        onchange="toggleCompletedCourse(this.value, this.checked)"
+                        class="w-3 h-3 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500">
+                    ${code}
+                </label>
+            `).join('');
+        }
+
+        /** Shows or hides the completed courses panel. */
+        window.toggleCompletedCoursesPanel = function() {
+            const content = document.getElementById('completed-courses-content');
+            const arrow = document.getElementById('completed-courses-arrow');
+            content.classList.toggle('hidden');
+            arrow.textContent = content.classList.contains('hidden') ? '▶' : '▼';
+        }
+
+        /** Marks a course as completed (or not) and re-evaluates eligibility. */
+        window.toggleCompletedCourse = function(formalCode, isCompleted) {
+            if (isCompleted) {
+                completedCourses.add(formalCode);
+            } else {
+                completedCourses.delete(formalCode);
+            }
+            filterAndRenderCourses();
+            persistSession();
+        }
+
+        /** Forgets all completed courses. */
+        window.clearCompletedCourses = function() {
+            completedCourses = new Set();
+            document.getElementById('transcript-import-result').textContent = '';
+            filterAndRenderCourses();
+            persistSession();
+        }
+
+        /** Adds the passed courses from a transcript CSV to completedCourses. */
+        window.importTranscriptFile = async function(input) {
+            const file = input.files[0];
+            input.value = ''; // Allow re-importing the same file
+            if (!file) return;
+
+            const result = document.getElementById('transcript-import-result');
+            try {
+                const { codes, failed } = parseTranscript(await file.text());
+                if (codes.length === 0) {
+                    result.textContent = `No course codes found in ${file.name}.`;
+                    return;
+                }
+                codes.forEach(code => completedCourses.add(code));
+                result.textContent = `Imported ${codes.length} course${codes.length === 1 ? '' : 's'} from ${file.name}` +
+                    (failed.length > 0 ? ` (skipped ${failed.join(', ')}: failing grade).` : '.');
+                filterAndRenderCourses();
+                persistSession();
+            } catch (error) {
+                console.error("Failed to import transcript:", error);
+                result.textContent = `Could not read ${file.name}.`;
+            }
+        }
+
+        /** Switches between code order and the recommended-next order. */
+        window.handleCourseSortChange = function(order) {
+            courseSortOrder = order;
+            filterAndRenderCourses();
+            persistSession();
+        }
+
+
+        // --- View 2: Section Assignment and Filtering (Unchanged Logic) ---
+
+        /** Updates the current filter state and re-renders sections. */
+        window.handleFilterChange = function(type, value, isChecked) {
+            // Update the array in currentFilters
+            if (isChecked) {
+                if (!currentFilters[type].includes(value)) {
+                    currentFilters[type].push(value);
+                }
+            } else {
+                currentFilters[type] = currentFilters[type].filter(v => v !== value);
+            }
+            
+            // Trigger the re-render of sections
+            filterAndRenderSections();
+            persistSession();
+        }
+
+        /** Renders the time slot checkboxes. */
+        function populateTimeSlotFilter(courseKey) {
+            const container = document.getElementById('time-filter-container');
+            if (!container) return;
+
+            container.innerHTML = ''; // Clear previous content
+
+            // Non-standard times of this course get their own checkbox
+            const courseSlots = allCoursesData
+                .filter(row => getCourseKey(row) === courseKey)
+                .flatMap(row => getSectionSchedule(row))
+                .map(slot => `${timeSlotToString(slot.start)} - ${timeSlotToString(slot.end)}`);
+            const slots = [...new Set([...ALL_UNIQUE_TIME_SLOTS, ...courseSlots, ...currentFilters.time])].sort();
+
+            slots.forEach(slot => {
+                const isSelected = currentFilters.time.includes(slot);
+                const div = document.createElement('div');
+                div.className = 'flex items-start';
+                div.innerHTML = `
+                    <input id="time-${slot.replace(/\s/g, '_')}" type="checkbox" value="${slot}" 
+                        ${isSelected ? 'checked' : ''}
+                        onchange="handleFilterChange('time', this.value, this.checked)"
+                        class="mt-1 h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 cursor-pointer">
+                    <label for="time-${slot.replace(/\s/g, '_')}" class="ml-2 block text-xs text-gray-700 cursor-pointer">${slot}</label>
+                `;
+                container.appendChild(div);
+            });
+        }
+
+        /** Dynamically renders the Faculty checkboxes for the selected course. */
+        function populateFacultyFilter(courseKey) {
+            const container = document.getElementById('faculty-filter-container');
+            if (!container) return;
+
+            container.innerHTML = '';
+            
+            // 1. Get unique faculty for this specific course
+            const courseSections = allCoursesData.filter(row => getCourseKey(row) === courseKey);
+            const uniqueFaculty = {};
+
+            courseSections.forEach(row => {
+                const initial = row['Initial'];
+                if (initial) {
+                    uniqueFaculty[initial] = row['Faculty Full Name'];
+                }
+            });
+
+            const sortedInitials = Object.keys(uniqueFaculty).sort();
+
+            if (sortedInitials.length === 0) {
+                container.innerHTML = '<p class="text-xs text-gray-500">No faculty assigned.</p>';
+                // Reset faculty filter when changing course
+                currentFilters.faculty = [];
+                return;
+            }
+            
+            // 2. Render Checkboxes
+            sortedInitials.forEach(initial => {
+                const fullName = uniqueFaculty[initial];
+                const isSelected = currentFilters.faculty.includes(initial);
+                
+                const div = document.createElement('div');
+                div.className = 'flex items-center';
+                div.innerHTML = `
+                    <input id="faculty-${initial}" type="checkbox" value="${initial}"
+                        ${isSelected ? 'checked' : ''}
+                        onchange="handleFilterChange('faculty', this.value, this.checked)"
+                        class="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 cursor-pointer">
+                    <label for="faculty-${initial}" class="ml-2 block text-sm text-gray-700 cursor-pointer truncate" title="${fullName}">${fullName} (${initial})</label>
+                `;
+                container.appendChild(div);
+            });
+        }
+
+        /** Helper to check if a course time slot matches any of the selected filter slots. */
+        function timeSlotMatchesFilter(sectionData, selectedTimeSlots) {
+            if (selectedTimeSlots.length === 0) return true; // No filter applied
+
+            const schedule = getSectionSchedule(sectionData);
+
+            for (const slot of schedule) {
+                if (slot.start !== -1 && slot.end !== -1) {
+                    const courseTimeRangeStr = `${timeSlotToString(slot.start)} - ${timeSlotToString(slot.end)}`;
+                    
+                    // The time slot needs to be an exact match to one of the predefined filter slots
+                    if (selectedTimeSlots.includes(courseTimeRangeStr)) {
+                        return true;
+                    }
+                }
+            }
+            
+            return false;
+        }
+
+        /** Returns a blank filter state for one course. */
+        function createEmptyFilters() {
+            return {
+                faculty: [], // Initials
+                time: [], // Exact "HH:MM:AM - HH:MM:AM" slots
+                days: [], // Day patterns such as "Sat/Tue"
+                timeFrom: '', // "HH:MM" (24h); every meeting must start at or after this
+                timeTo: '', // ...and end at or before this
+                roomType: 'any', // 'any', 'theory' or 'lab'
+                facultySearch: '', // Free text matched against name and initial
+                hideConflicting: false
+            };
+        }
+
+        /** Returns (creating if needed) the saved filter state of a course. */
+        function getCourseFilters(courseKey) {
+            if (!courseFilters[courseKey]) courseFilters[courseKey] = createEmptyFilters();
+            return courseFilters[courseKey];
+        }
+
+        /** Returns a section's meeting days in week order, e.g. "Sat/Tue". */
+        function getDayPattern(sectionData) {
+            const days = new Set(getSectionSchedule(sectionData).map(slot => slot.day));
+            return DAY_ORDER.filter(day => days.has(day)).join('/');
+        }
+
+        /**
+         * Evaluates each active filter against a section.
+         * @returns {boolean[]} One entry per active filter; empty when no filter is set.
+         */
+        function getFilterChecks(section, filters) {
+            const checks = [];
+            const schedule = getSectionSchedule(section);
+
+            if (filters.faculty.length > 0) checks.push(filters.faculty.includes(section['Initial']));
+            if (filters.time.length > 0) checks.push(timeSlotMatchesFilter(section, filters.time));
+            if (filters.days.length > 0) checks.push(filters.days.includes(getDayPattern(section)));
+
+            const from = timeInputToMinutes(filters.timeFrom);
+            const to = timeInputToMinutes(filters.timeTo);
+            if (from !== -1 || to !== -1) {
+                checks.push(schedule.length > 0 && schedule.every(slot =>
+                    (from === -1 || slot.start >= from) && (to === -1 || slot.end <= to)
+                ));
+            }
+
+            if (filters.roomType !== 'any') {
+                const inLab = schedule.some(slot => LAB_ROOM_PATTERN.test(slot.room));
+                checks.push(filters.roomType === 'lab' ? inLab : !inLab);
+            }
+
+            const search = filters.facultySearch.trim().toLowerCase();
+            if (search) {
+                const faculty = `${section['Faculty Full Name'] || ''} ${section['Initial'] || ''}`.replace(/\s+/g, ' ').toLowerCase();
+                checks.push(faculty.includes(search.replace(/\s+/g, ' ')));
+            }
+            return checks;
+        }
+
+        /** Checks whether a section passes every active filter. */
+        function sectionMatchesFilters(section, filters) {
+            return getFilterChecks(section, filters).every(Boolean);
+        }
+
+        /** Renders the day-pattern checkboxes for the patterns this course actually uses. */
+        function populateDayPatternFilter(courseKey) {
+            const container = document.getElementById('day-filter-container');
+            if (!container) return;
+
+            const patterns = [...new Set(allCoursesData
+                .filter(row => getCourseKey(row) === courseKey)
+                .map(getDayPattern)
+                .filter(Boolean))]
+                .sort((a, b) => DAY_ORDER.indexOf(a.split('/')[0]) - DAY_ORDER.indexOf(b.split('/')[0]) || a.localeCompare(b));
+
+            container.innerHTML = patterns.map(pattern => `
+                <label class="flex items-center gap-1 text-xs text-gray-700 cursor-pointer">
+                    <input type="checkbox" value="${pattern}" ${currentFilters.days.includes(pattern) ? 'checked' : ''}
+                        onchange="handleFilterChange('days', this.value, this.checked)"
+                        class="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 cursor-pointer">
+                    ${pattern}
+                </label>
+            `).join('') || '<p class="text-xs text-gray-500">No scheduled meetings.</p>';
+        }
+
+        /** Copies the scalar filters of the current course into their inputs. */
+        function populateFilterInputs() {
+            const values = {
+                'faculty-search': currentFilters.facultySearch,
+                'filter-time-from': currentFilters.timeFrom,
+                'filter-time-to': currentFilters.timeTo,
+                'filter-room-type': currentFilters.roomType
+            };
+            Object.entries(values).forEach(([id, value]) => {
+                const input = document.getElementById(id);
+                if (input) input.value = value;
+            });
+            const hideToggle = document.getElementById('filter-hide-conflicting');
+            if (hideToggle) hideToggle.checked = currentFilters.hideConflicting;
+        }
+
+        /** Updates a single-value filter (search text, time range, room type, hide toggle). */
+        window.handleFilterValueChange = function(type, value) {
+            currentFilters[type] = value;
+            filterAndRenderSections();
+            persistSession();
+        }
+
+        /** Resets every filter of the course shown in View 2. */
+        window.clearSectionFilters = function() {
+            if (!currentView2CourseKey) return;
+            courseFilters[currentView2CourseKey] = createEmptyFilters();
+            const course = uniqueCourses.find(c => c.key === currentView2CourseKey);
+            if (course) displaySections(course);
+        }
+
+        /** Filters and renders sections for the currently selected course in View 2. */
+        window.filterAndRenderSections = function() {
+            const listElement = document.getElementById('section-list');
+            const filterContainer = document.getElementById('section-filters');
+            const courseKey = currentView2CourseKey; // Use globally stored active key
+
+            if (!courseKey || !listElement || !filterContainer) {
+                listElement.innerHTML = '<p class="text-center text-gray-500 mt-4">Select a course to view available sections.</p>';
+                filterContainer.classList.add('hidden');
+                return;
+            }
+            
+            filterContainer.classList.remove('hidden');
+
+            // 1. Get all sections for the course
+            let filteredSections = allCoursesData.filter(row => getCourseKey(row) === courseKey);
+
+            // 2. Apply Filters (faculty, time slots, days, time range, room type, faculty search)
+            filteredSections = filteredSections.filter(section => sectionMatchesFilters(section, currentFilters));
+
+            // Optionally drop sections that clash with the other picks (the current pick always stays)
+            if (currentFilters.hideConflicting) {
+                filteredSections = filteredSections.filter(section =>
+                    (selectedSections[courseKey] && selectedSections[courseKey]['Section'] === section['Section']) ||
+                    findAllConflicts(section, selectedSections).length === 0
+                );
+            }
+
+            // 3. Render the filtered list
+            renderFilteredSectionList(filteredSections, courseKey);
+        }
+
+        /** Function to render the list of filtered sections into the center panel. */
+        function renderFilteredSectionList(sections, courseKey) {
+            const listElement = document.getElementById('section-list');
+            if (!listElement) return;
+
+            listElement.innerHTML = '';
+
+            if (sections.length === 0) {
+                listElement.innerHTML = '<p class="text-center text-gray-500 mt-4 p-4 border rounded-lg bg-yellow-50 border-yellow-300">No sections found matching the current filters.</p>';
+                return;
+            }
+
+            const currentCourse = uniqueCourses.find(c => c.key === courseKey);
+
+            sections.forEach(section => {
+                const sectionKey = `${courseKey}_${section['Section']}`;
+                const isSelected = selectedSections[courseKey] && selectedSections[courseKey]['Section'] === section['Section'];
+
+                // Conflict check logic
+                const conflicts = findAllConflicts(section, selectedSections);
+                const hasConflict = !isSelected && conflicts.length > 0;
+                const pairMismatch = isSelected ? null : getPairMismatch(section, selectedSections);
+                const travelIssue = isSelected || hasConflict ? null : findTravelIssue(section, selectedSections);
+
+                const card = document.createElement('div');
+                card.id = `section-card-${sectionKey}`;
+                
+                let cardClass = 'section-card p-4 rounded-xl border-2 ';
+                if (isSelected) {
+                    cardClass += 'selected border-green-500 cursor-pointer';
+                } else if (pairMismatch) {
+                    cardClass += 'bg-gray-100 border-gray-200 opacity-60 cursor-not-allowed';
+                } else if (hasConflict) {
+                    cardClass += 'conflict border-red-500 cursor-pointer';
+                } else {
+                    cardClass += 'bg-gray-50 border-gray-200 hover:border-indigo-300 cursor-pointer';
+                }
+                card.className = cardClass;
+
+                let conflictDetail = '';
+                const busyHits = conflicts.filter(conflict => conflict.section.isBusyBlock);
+                const sectionClashes = conflicts.filter(conflict => !conflict.section.isBusyBlock);
+                if (hasConflict && busyHits.length > 0) {
+                    conflictDetail = `<p class="text-xs text-red-600 mt-2 font-semibold">
+                                        HITS YOUR BUSY TIME: ${escapeHTML(busyHits.map(describeConflict).join('; '))}
+                                    </p>`;
+                }
+                if (hasConflict && sectionClashes.length > 0) {
+                    conflictDetail += `<div class="text-xs text-red-600 mt-2 font-semibold">
+                                        CONFLICT with:
+                                        <ul class="list-disc list-inside font-normal">
+                                            ${sectionClashes.map(conflict => `<li>${escapeHTML(describeConflict(conflict))}</li>`).join('')}
+                                        </ul>
+                                    </div>`;
+                }
+                if (pairMismatch) {
+                    conflictDetail += `<p class="text-xs text-gray-600 mt-2 font-semibold">${pairMismatch}</p>`;
+                }
+                if (travelIssue) {
+                    conflictDetail += `<p class="text-xs text-yellow-700 mt-2 font-semibold">TIGHT TRANSITION: ${describeTransition(travelIssue)}</p>`;
+                }
+                const dataErrors = getRowDataErrors(section);
+                if (dataErrors.length > 0) {
+                    conflictDetail += `<p class="text-xs text-orange-700 mt-2 font-semibold">DATA ISSUE: ${dataErrors.map(issue => issue.message).join(' ')}</p>`;
+                }
+
+                card.innerHTML = `
+                    <div class="flex justify-between items-start mb-1">
+                        <span class="text-xl font-extrabold">${section['Section']}</span>
+                        <span class="text-sm font-semibold text-gray-600">${section['Cr.']} Cr.</span>
+                    </div>
+                    <div class="space-y-1 text-sm text-gray-700">
+                        <p><strong>Faculty:</strong> ${section['Faculty Full Name']} (${section['Initial']})</p>
+                        <p><strong>Time 1:</strong> ${section['Day1']}: ${section['Time1']} (${section['Room1']})</p>
+                        ${section['Day2'] && section['Time2'] && section['Day2'].trim() !== '' && section['Time2'].trim() !== '-' && !isRepeatedMeeting(section) ?
+                            `<p><strong>Time 2:</strong> ${section['Day2']}: ${section['Time2']} (${section['Room2']})</p>`
+                            : ''}
+                    </div>
+                    ${conflictDetail}
+                `;
+
+                // Pass the course object for proper re-rendering of sections on click
+                card.addEventListener('click', () => {
+                    if (pairMismatch) return; // The registrar would reject this combination
+                    handleSectionSelection(courseKey, section, currentCourse);
+                });
+                // Preview where this section would land on the weekly timetable
+                card.addEventListener('mouseenter', () => renderWeeklyTimetable(section));
+                card.addEventListener('mouseleave', () => renderWeeklyTimetable());
+                listElement.appendChild(card);
+            });
+        }
+
+        /**
+         * Sets up the filters and displays sections for a selected course in the center panel (View 2).
+         * @param {object} course - The unique course object.
+         */
+        window.displaySections = function(course) {
+            const courseKey = course.key;
+            
+            // Each course keeps its own filters
+            currentFilters = getCourseFilters(courseKey);
+            currentView2CourseKey = courseKey; // Set the active course
+
+            document.getElementById('section-filters').classList.remove('hidden');
+
+            document.getElementById('selected-course-info').innerHTML = `
+                <span class="text-indigo-600 font-bold">${course['Formal Code']}</span>: ${course['Title']}
+            `;
+            
+            // Populate dynamic faculty list based on new course
+            populateFacultyFilter(courseKey); 
+            // Re-render time and day filters to maintain state (both include this course's own slots)
+            populateTimeSlotFilter(courseKey);
+            populateDayPatternFilter(courseKey);
+            populateFilterInputs();
+
+            // Render the sections with the current filters
+            filterAndRenderSections();
+            
+            // Scroll to the top of the section list to show the content
+            document.getElementById('section-list').scrollTop = 0;
+            persistSession();
+        }
+
+        /**
+         * Handles the click event for section selection/deselection (View 2).
+         */
+        function handleSectionSelection(courseKey, sectionData, course) {
+            const isAlreadySelected = selectedSections[courseKey] && selectedSections[courseKey]['Section'] === sectionData['Section'];
+
+            if (isAlreadySelected) {
+                // Deselect the current section
+                delete selectedSections[courseKey];
+            } else {
+                // Select the new section (conflict checked in UI rendering)
+                selectedSections[courseKey] = sectionData;
+            }
+            fixSuggestions = null; // Computed for the previous plan
+
+            // Re-render all necessary parts of the UI
+            renderScheduleSummary();
+            // Re-render sections for the current course to update selection/conflict states
+            filterAndRenderSections();
+            // Re-render the course list to update its colors
+            renderAssignmentCourseList();
+            persistSession();
+        }
+
+        /** Renders the list of courses chosen in View 1 (top panel of View 2). */
+        function renderAssignmentCourseList() {
+            const listElement = document.getElementById('assignment-course-list');
+            if (!listElement) return;
+
+            listElement.innerHTML = '';
+
+            // Filter uniqueCourses to only include those in selectedCoursesForAssignment
+            const coursesToAssign = uniqueCourses.filter(c => selectedCoursesForAssignment.has(c.key));
+
+            // Sort courses by Formal Code
+            coursesToAssign.sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code']));
+
+            if (coursesToAssign.length === 0) {
+                 listElement.innerHTML = '<p class="text-center text-gray-500 py-4">No courses selected for assignment. Return to Course Selection view to choose courses.</p>';
+                 document.getElementById('selected-course-info').textContent = 'Please return to Course Selection view to choose courses.';
+                 document.getElementById('section-filters').classList.add('hidden');
+                 return;
+            }
+
+            coursesToAssign.forEach(course => {
+                const isSectionSelected = !!selectedSections[course.key];
+                const isActive = currentView2CourseKey === course.key;
+
+                const button = document.createElement('button');
+                // w-40 flex-shrink-0 for fixed horizontal size
+                button.className = `w-40 flex-shrink-0 text-left p-3 rounded-lg border-2 transition duration-150 ease-in-out 
+                                    ${isSectionSelected ? 'selected border-green-500' : 'bg-white border-gray-200 hover:bg-gray-100'}
+                                    ${isActive ? 'bg-indigo-100 border-indigo-500' : ''}`;
+                button.innerHTML = `
+                    <div class="font-bold text-base text-gray-900">${course['Formal Code']}</div>
+                    <div class="text-sm text-gray-600 truncate">${course['Title']}</div>
+                `;
+                button.addEventListener('click', () => {
+                    displaySections(course);
+                    // Update visual state of course list buttons for the active course
+                    document.querySelectorAll('#assignment-course-list button').forEach(btn => {
+                        btn.classList.remove('bg-indigo-100', 'border-indigo-500');
+                    });
+                    button.classList.add('bg-indigo-100', 'border-indigo-500');
+                });
+                listElement.appendChild(button);
+            });
+        }
+
+        /** Renders the summary of selected courses in the right panel (View 2). */
+        function renderScheduleSummary() {
+            const summaryElement = document.getElementById('schedule-summary');
+            const totalCreditsElement = document.getElementById('total-credits');
+            const conflictMessageElement = document.getElementById('conflict-message');
+
+            if (!summaryElement || !totalCreditsElement || !conflictMessageElement) return;
+
+            summaryElement.innerHTML = '';
+            const totalCredits = sumCredits(Object.values(selectedSections));
+            let hasGlobalConflict = false;
+
+            const selectedKeys = Object.keys(selectedSections);
+
+            if (selectedKeys.length === 0) {
+                summaryElement.innerHTML = '<p class="text-center text-gray-500">Your selected sections will appear here.</p>';
+            } else {
+                // Sort by Formal Code for readability in the schedule summary
+                const sortedSections = selectedKeys
+                    .map(key => selectedSections[key])
+                    .sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code']));
+
+                sortedSections.forEach(section => {
+                    const courseKey = getCourseKey(section);
+
+                    // Check if this specific selected section conflicts with any *other* selected section
+                    const conflicts = findAllConflicts(section, selectedSections);
+                    const isConflicting = conflicts.length > 0;
+                    if (isConflicting) {
+                        hasGlobalConflict = true;
+                    }
+
+                    const card = document.createElement('div');
+                    card.className = `p-4 rounded-xl shadow-md border-2 
+                                    ${isConflicting ? 'border-red-500 bg-red-100' : 'border-green-500 bg-green-100'}`;
+
+                    let conflictText = '';
+                    if (isConflicting) {
+                        conflictText = `<div class="text-sm font-semibold text-red-700 mt-2">
+                                            CONFLICT with:
+                                            <ul class="list-disc list-inside text-xs font-normal">
+                                                ${conflicts.map(conflict => `<li>${escapeHTML(describeConflict(conflict))}</li>`).join('')}
+                                            </ul>
+                                        </div>
+                                        ${renderFixSuggestions(courseKey)}`;
+                    }
+
+                    // Back-to-back classes in rooms too far apart (a warning, not a conflict)
+                    const travelIssue = findTravelIssue(section, selectedSections);
+                    if (travelIssue) {
+                        conflictText += `<p class="text-xs font-semibold text-yellow-700 mt-2">Tight transition: ${describeTransition(travelIssue)}</p>`;
+                    }
+
+                    // Theory/lab co-requisites: partner missing, or picked with a mismatching section
+                    const partnerKey = coursePairs.get(courseKey);
+                    if (partnerKey && !selectedSections[partnerKey]) {
+                        const partner = uniqueCourses.find(c => c.key === partnerKey);
+                        conflictText += `<p class="text-xs font-semibold text-yellow-700 mt-2">Also requires ${partner['Formal Code']} (${isLabCourse(partnerKey) ? 'lab' : 'theory'}).</p>`;
+                    } else if (partnerKey) {
+                        const mismatch = getPairMismatch(section, selectedSections);
+                        if (mismatch) conflictText += `<p class="text-xs font-semibold text-yellow-700 mt-2">${mismatch}</p>`;
+                    }
+
+                    // Flag sections whose time or room changed since the plan was saved
+                    const changeIssue = sessionIssues.find(issue => issue.courseKey === courseKey && issue.type === 'sectionChanged');
+                    if (changeIssue) {
+                        conflictText += `<p class="text-xs font-semibold text-yellow-700 mt-2">${changeIssue.message}</p>`;
+                    }
+
+                    card.innerHTML = `
+                        <div class="flex justify-between items-start">
+                            <h3 class="font-bold text-lg">${section['Formal Code']} - ${section['Section']}</h3>
+                            <button onclick="deselectCourse('${courseKey.replace(/'/g, "\\'")}')" class="text-red-500 hover:text-red-700 transition" title="Remove Section">
+                                <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                            </button>
+                        </div>
+                        <p class="text-sm text-gray-700">${section['Title']}</p>
+                        <div class="mt-2 text-xs">
+                            <!-- Using Faculty Full Name as requested -->
+                            <p><strong>Faculty:</strong> ${section['Faculty Full Name']}</p>
+                            <p><strong>Time 1:</strong> ${section['Day1']}: ${section['Time1']} / Room ${section['Room1']}</p>
+                            ${section['Day2'] && section['Time2'] && section['Day2'].trim() !== '' && section['Time2'].trim() !== '-' && !isRepeatedMeeting(section) ?
+                                `<p><strong>Time 2:</strong> ${section['Day2']}: ${section['Time2']} / Room ${section['Room2']}</p>`
+                                : ''}
+                        </div>
+                        ${conflictText}
+                    `;
+                    summaryElement.appendChild(card);
+                });
+            }
+
+            totalCreditsElement.textContent = `Credits: ${totalCredits}`;
+            conflictMessageElement.style.display = hasGlobalConflict ? 'block' : 'none';
+            renderCreditLoadWarnings();
+            renderConflictMatrix();
+            renderTravelWarnings();
+
+            // If the user removes a section, update the assignment list colors
+            renderAssignmentCourseList();
+            renderWeeklyTimetable();
+        }
+
+        /**
+         * Renders a course-by-course grid of the whole plan: each cell shows how many times the
+         * two courses clash (hover for the day, minutes and slots). Hidden for fewer than two sections.
+         */
+        function renderConflictMatrix() {
+            const container = document.getElementById('conflict-matrix');
+            if (!container) return;
+
+            const sections = [
+                ...Object.values(selectedSections).sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code'])),
+                ...Object.values(getBusyBlockSections())
+            ];
+            if (Object.keys(selectedSections).length < 2 && sections.length < 2) {
+                container.classList.add('hidden');
+                return;
+            }
+
+            const clashesBetween = (a, b) => findAllConflicts(a, { [getCourseKey(b)]: b }, false);
+            const nameOf = (section) => section.isBusyBlock ? `Busy: ${section['Title']}` : section['Formal Code'];
+            const headerCells = sections.map(section =>
+                `<th class="p-1 font-semibold text-gray-600 whitespace-nowrap">${nameOf(section)}</th>`
+            ).join('');
+            const rows = sections.map(rowSection => {
+                const cells = sections.map(columnSection => {
+                    if (rowSection === columnSection) return '<td class="p-1 text-center text-gray-300">—</td>';
+                    const clashes = clashesBetween(rowSection, columnSection);
+                    if (clashes.length === 0) return '<td class="p-1 text-center text-green-600">✓</td>';
+                    const details = clashes.map(describeConflict).join('\n');
+                    return `<td class="p-1 text-center bg-red-100 text-red-700 font-bold" title="${escapeHTML(details)}">${clashes.length}</td>`;
+                }).join('');
+                return `<tr><th class="p-1 text-left font-semibold text-gray-600 whitespace-nowrap">${nameOf(rowSection)}</th>${cells}</tr>`;
+            }).join('');
+
+            container.classList.remove('hidden');
+            container.innerHTML = `
+                <p class="text-sm font-bold text-gray-700 mb-1">Conflict Matrix</p>
+                <div class="overflow-x-auto custom-scroll">
+                    <table class="text-xs border-collapse">
+                        <thead><tr><th></th>${headerCells}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        /** Deselects a course section from the schedule (View 2). */
+        window.deselectCourse = function(courseKey) {
+            delete selectedSections[courseKey];
+            fixSuggestions = null;
+            renderScheduleSummary();
+
+            // Re-render the section list if it was focused on the deselected course
+            if (currentView2CourseKey === courseKey) {
+                 const currentCourse = uniqueCourses.find(c => c.key === courseKey);
+                 if (currentCourse) filterAndRenderSections();
+            }
+            persistSession();
+        }
+
+        // --- Conflict Fix Suggestions ---
+
+        /** Counts how many of its course's active View 2 filters a section satisfies. */
+        function countFilterMatches(section) {
+            const filters = courseFilters[getCourseKey(section)];
+            return filters ? getFilterChecks(section, filters).filter(Boolean).length : 0;
+        }
+
+        /** Returns the keys of the courses a section clashes with in a plan. */
+        function getClashingCourseKeys(section, plan) {
+            return new Set(findAllConflicts(section, plan).map(conflict => getCourseKey(conflict.section)));
+        }
+
+        /**
+         * Checks a candidate plan: the course must be clash-free, and every swapped course may
+         * only still clash with courses it already clashed with (no new clashes), and must
+         * respect the pairing rule.
+         */
+        function isFixFor(courseKey, plan, changes) {
+            if (findAllConflicts(plan[courseKey], plan).length > 0) return false;
+            return changes.every(change => {
+                const before = getClashingCourseKeys(change.from, selectedSections);
+                const after = getClashingCourseKeys(change.to, plan);
+                return [...after].every(key => before.has(key)) && !getPairMismatch(change.to, plan);
+            });
+        }
+
+        /**
+         * Proposes minimal section swaps that clear every clash involving a course while keeping
+         * all other selections and adding no new clash. Only the course and the courses it clashes
+         * with are changed; a swap is skipped if a smaller swap within it already works.
+         * @returns {Array<{ changes: Array<{ courseKey, from, to }>, filterMatches: number }>}
+         *          Sorted by number of changes, then by how well the new sections match the filters.
+         */
+        function suggestConflictFixes(courseKey) {
+            const clashingKeys = findAllConflicts(selectedSections[courseKey], selectedSections)
+                .map(conflict => getCourseKey(conflict.section))
+                .filter(key => selectedSections[key]); // Busy blocks cannot be swapped
+            const involved = [courseKey, ...new Set(clashingKeys)];
+            const alternatives = Object.fromEntries(involved.map(key => [
+                key,
+                allCoursesData.filter(row => getCourseKey(row) === key && row['Section'] !== selectedSections[key]['Section'])
+            ]));
+
+            const suggestions = [];
+            const workingSwaps = new Set(); // "courseKey|Section" of single swaps that already resolve the clash
+
+            // Tries every way of swapping exactly `size` of the involved courses
+            const trySwaps = (size, start, plan, changes) => {
+                if (changes.length === size) {
+                    if (!isFixFor(courseKey, plan, changes)) return;
+                    const swapIds = changes.map(change => `${change.courseKey}|${change.to['Section']}`);
+                    if (size > 1 && swapIds.some(id => workingSwaps.has(id))) return; // Not minimal
+                    if (size === 1) workingSwaps.add(swapIds[0]);
+                    suggestions.push({ changes, filterMatches: changes.reduce((sum, change) => sum + countFilterMatches(change.to), 0) });
+                    return;
+                }
+                for (let i = start; i < involved.length; i++) {
+                    const key = involved[i];
+                    alternatives[key].forEach(section => {
+                        trySwaps(size, i + 1, { ...plan, [key]: section }, [...changes, { courseKey: key, from: plan[key], to: section }]);
+                    });
+                }
+            };
+
+            // Smallest swaps first; larger ones only when too few small ones exist
+            for (let size = 1; size <= MAX_FIX_CHANGES && suggestions.length < MAX_FIX_SUGGESTIONS; size++) {
+                trySwaps(size, 0, { ...selectedSections }, []);
+            }
+
+            return suggestions
+                .sort((a, b) => a.changes.length - b.changes.length || b.filterMatches - a.filterMatches)
+                .slice(0, MAX_FIX_SUGGESTIONS);
+        }
+
+        /** Renders the "Suggest fixes" button, or the suggestions once requested, for a summary card. */
+        function renderFixSuggestions(courseKey) {
+            if (!fixSuggestions || fixSuggestions.courseKey !== courseKey) {
+                return `<button onclick="suggestFixes('${courseKey.replace(/'/g, "\\'")}')"
+                            class="mt-2 py-1 px-3 rounded-lg bg-white border border-red-300 text-red-700 text-xs font-semibold hover:bg-red-50 transition duration-150">
+                            Suggest fixes
+                        </button>`;
+            }
+            if (fixSuggestions.suggestions.length === 0) {
+                return `<p class="mt-2 text-xs text-gray-700">No swap of up to ${MAX_FIX_CHANGES} sections resolves this clash. Consider dropping one of the courses.</p>`;
+            }
+            return `
+                <div class="mt-2 space-y-2">
+                    ${fixSuggestions.suggestions.map((suggestion, index) => `
+                        <div class="p-2 rounded-lg bg-white border border-gray-200 text-xs text-gray-700 flex justify-between items-center gap-2">
+                            <ul>
+                                ${suggestion.changes.map(change => `
+                                    <li>${change.to['Formal Code']}: ${change.from['Section']} → <strong>${change.to['Section']}</strong>
+                                        (${change.to['Initial']}, ${change.to['Day1']} ${change.to['Time1']})</li>
+                                `).join('')}
+                            </ul>
+                            <button onclick="applyFixSuggestion(${index})"
+                                class="py-1 px-2 rounded-lg bg-indigo-600 text-white font-semibold hover:bg-indigo-700 transition duration-150">
+                                Apply
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        /** Computes fix suggestions for a conflicting course and shows them in its summary card. */
+        window.suggestFixes = function(courseKey) {
+            fixSuggestions = { courseKey, suggestions: suggestConflictFixes(courseKey) };
+            renderScheduleSummary();
+        }
+
+        /** Applies one suggested set of swaps to the plan. */
+        window.applyFixSuggestion = function(index) {
+            const suggestion = fixSuggestions && fixSuggestions.suggestions[index];
+            if (!suggestion) return;
+
+            suggestion.changes.forEach(change => {
+                selectedSections[change.courseKey] = change.to;
+            });
+            fixSuggestions = null;
+            renderScheduleSummary();
+            if (currentView2CourseKey) filterAndRenderSections();
+            persistSession();
+        }
+
+        // --- Named Schedule Drafts & Comparison ---
+
+        /** Computes the headline numbers used to compare plans. */
+        function summarizePlan(sectionMap) {
+            const sections = Object.values(sectionMap);
+            const slots = sections.flatMap(section => getSectionSchedule(section));
+
+            let conflicts = 0;
+            for (let i = 0; i < sections.length; i++) {
+                for (let j = i + 1; j < sections.length; j++) {
+                    if (schedulesOverlap(getSectionSchedule(sections[i]), getSectionSchedule(sections[j]))) conflicts++;
+                }
+            }
+
+            return {
+                credits: sumCredits(sections),
+                days: [...new Set(slots.map(slot => slot.day))],
+                earliestStart: slots.length > 0 ? Math.min(...slots.map(slot => slot.start)) : -1,
+                latestEnd: slots.length > 0 ? Math.max(...slots.map(slot => slot.end)) : -1,
+                conflicts
+            };
+        }
+
+        /** Renders the draft switcher and actions above the assignment panels (View 2). */
+        function renderDraftBar() {
+            const bar = document.getElementById('draft-bar');
+            if (!bar) return;
+
+            bar.innerHTML = `
+                <label class="text-sm font-semibold text-gray-700">Draft:</label>
+                <select onchange="switchDraft(this.value)" title="Changes are saved to the selected draft automatically"
+                    class="p-2 border border-gray-300 rounded-lg bg-white text-sm focus:ring-indigo-500 focus:border-indigo-500">
+                    <option value="" ${activeDraftId === null ? 'selected' : ''}>(unsaved plan)</option>
+                    ${scheduleDrafts.map(draft => `<option value="${draft.id}" ${draft.id === activeDraftId ? 'selected' : ''}>${escapeHTML(draft.name)}</option>`).join('')}
+                </select>
+                <input type="text" id="draft-name-input" placeholder="New draft name, e.g. Plan B – afternoons"
+                    class="flex-grow p-2 border border-gray-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500">
+                <button onclick="saveDraftAs()"
+                    class="py-2 px-3 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 transition duration-150">
+                    Save as Draft
+                </button>
+                <button onclick="deleteActiveDraft()" ${activeDraftId === null ? 'disabled' : ''}
+                    class="py-2 px-3 rounded-lg bg-gray-200 text-gray-800 text-sm font-semibold hover:bg-gray-300 transition duration-150 disabled:opacity-50">
+                    Delete Draft
+                </button>
+                <button onclick="changeView('draftComparison')" ${scheduleDrafts.length === 0 ? 'disabled' : ''}
+                    class="py-2 px-3 rounded-lg bg-gray-200 text-gray-800 text-sm font-semibold hover:bg-gray-300 transition duration-150 disabled:opacity-50">
+                    Compare Drafts (${scheduleDrafts.length})
+                </button>
+            `;
+        }
+
+        /** Saves the current plan as a new named draft (or, once confirmed, overwrites a draft with the same name) and makes it active. */
+        window.saveDraftAs = function() {
+            const input = document.getElementById('draft-name-input');
+            const name = input ? input.value.trim() : '';
+            if (!name) {
+                if (input) input.focus();
+                return;
+            }
+
+            let draft = scheduleDrafts.find(d => d.name === name);
+            // The active draft already tracks the plan; any other draft would lose its saved selections
+            if (draft && draft.id !== activeDraftId && !confirm(`A draft named "${name}" already exists. Replace it with the current plan?`)) {
+                input.focus();
+                return;
+            }
+            if (!draft) {
+                draft = { id: `draft-${Date.now()}`, name };
+                scheduleDrafts.push(draft);
+            }
+            activeDraftId = draft.id;
+            persistSession(); // Copies the live selections into the now-active draft
+            renderDraftBar();
+        }
+
+        /** Loads a draft into the live selections. An empty id detaches from drafts without changing the plan. */
+        window.switchDraft = function(draftId) {
+            const draft = scheduleDrafts.find(d => d.id === draftId);
+            activeDraftId = draft ? draft.id : null;
+
+            if (draft) {
+                const knownCourseKeys = new Set(uniqueCourses.map(c => c.key));
+                selectedCoursesForAssignment = new Set(draft.selectedCourseKeys.filter(key => knownCourseKeys.has(key)));
+                selectedSections = {};
+                fixSuggestions = null;
+                Object.entries(draft.selectedSections).forEach(([courseKey, section]) => {
+                    // Only sections that still exist in the loaded data can be selected
+                    if (allCoursesData.includes(section)) selectedSections[courseKey] = section;
+                });
+                if (!selectedCoursesForAssignment.has(currentView2CourseKey)) currentView2CourseKey = null;
+            }
+
+            renderApp();
+            persistSession();
+        }
+
+        /** Deletes the active draft. The live plan stays on screen as an unsaved plan. */
+        window.deleteActiveDraft = function() {
+            scheduleDrafts = scheduleDrafts.filter(d => d.id !== activeDraftId);
+            activeDraftId = null;
+            persistSession();
+            renderDraftBar();
+        }
+
+        /** Renders the side-by-side comparison table of all drafts. */
+        function renderDraftComparison() {
+            const container = document.getElementById('draft-comparison');
+            if (!container) return;
+
+            if (scheduleDrafts.length === 0) {
+                container.innerHTML = '<p class="text-center text-gray-500 py-4">No drafts saved yet.</p>';
+                return;
+            }
+
+            const summaries = scheduleDrafts.map(draft => ({ draft, summary: summarizePlan(draft.selectedSections) }));
+            const row = (label, cell) => `
+                <tr>
+                    <th class="text-left text-sm font-semibold text-gray-600 p-2 border-b whitespace-nowrap">${label}</th>
+                    ${summaries.map(entry => `<td class="text-sm text-gray-800 p-2 border-b align-top">${cell(entry)}</td>`).join('')}
+                </tr>
+            `;
+
+            container.innerHTML = `
+                <table class="min-w-full">
+                    <thead>
+                        <tr>
+                            <th class="p-2 border-b"></th>
+                            ${summaries.map(({ draft }) => `
+                                <th class="text-left p-2 border-b">
+                                    <span class="font-bold text-gray-900">${escapeHTML(draft.name)}</span>
+                                    ${draft.id === activeDraftId ? '<span class="ml-1 text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded-full">active</span>' : ''}
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Credits', ({ summary }) => summary.credits)}
+                        ${row('Days on campus', ({ summary }) => summary.days.length > 0 ? `${summary.days.length} (${summary.days.join(', ')})` : '-')}
+                        ${row('Earliest start', ({ summary }) => summary.earliestStart === -1 ? '-' : timeSlotToString(summary.earliestStart))}
+                        ${row('Latest end', ({ summary }) => summary.latestEnd === -1 ? '-' : timeSlotToString(summary.latestEnd))}
+                        ${row('Conflicts', ({ summary }) => summary.conflicts > 0 ? `<span class="font-bold text-red-600">${summary.conflicts}</span>` : '<span class="text-green-700">None</span>')}
+                        ${row('Sections', ({ draft }) => Object.values(draft.selectedSections)
+                            .sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code']))
+                            .map(section => `<div class="whitespace-nowrap">${section['Formal Code']} - ${section['Section']}</div>`)
+                            .join('') || '-')}
+                        ${row('', ({ draft }) => `
+                            <button onclick="switchDraft('${draft.id}'); changeView('sectionAssignment')"
+                                class="py-1 px-3 rounded-lg bg-indigo-600 text-white text-xs font-semibold hover:bg-indigo-700 transition duration-150">
+                                Open
+                            </button>
+                        `)}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        // --- Theory/Lab Pairing ---
+
+        /**
+         * Co-requisite pairs that title matching cannot find, as [theory Formal Code, lab Formal Code].
+         * Add entries here when the registrar links courses whose titles differ.
+         */
+        const CONFIGURED_COURSE_PAIRS = [];
+
+        const LAB_TITLE_PATTERN = /\s+Lab(oratory)?$/i; // "Data Structure and Algorithms I Laboratory"
+        const LAB_ROOM_PATTERN = /\(.*Lab\)/i; // "522 (Computer Lab)"
+
+        /**
+         * Checks whether a course is a lab: either its title says so, or every meeting
+         * is held in a "(... Lab)" room at one of the LAB_SLOTS timings (e.g. CSE 1110).
+         */
+        function isLabCourse(courseKey) {
+            const course = uniqueCourses.find(c => c.key === courseKey);
+            if (course && LAB_TITLE_PATTERN.test(course['Title'])) return true;
+
+            const meetings = allCoursesData
+                .filter(row => getCourseKey(row) === courseKey)
+                .flatMap(row => [[row['Room1'], row['Time1']], [row['Room2'], row['Time2']]])
+                .filter(([, time]) => parseTimeRange(time).start !== -1);
+            return meetings.length > 0 && meetings.every(([room, time]) => LAB_ROOM_PATTERN.test(room || '') && LAB_SLOTS.includes(time));
+        }
+
+        /**
+         * Finds theory/lab pairs: a lab whose title is "<theory title> Laboratory" within the same
+         * subject prefix (CSE 2215 + CSE 2216), plus CONFIGURED_COURSE_PAIRS.
+         * @returns {Map<string, string>} courseKey -> partner courseKey, in both directions.
+         */
+        function detectCoursePairs() {
+            const pairs = new Map();
+            const link = (a, b) => {
+                pairs.set(a.key, b.key);
+                pairs.set(b.key, a.key);
+            };
+
+            uniqueCourses.forEach(lab => {
+                if (!LAB_TITLE_PATTERN.test(lab['Title'])) return;
+                const baseTitle = lab['Title'].replace(LAB_TITLE_PATTERN, '');
+                const prefix = lab['Formal Code'].split(' ')[0];
+                const theory = uniqueCourses.find(c =>
+                    c.key !== lab.key && c['Title'] === baseTitle && c['Formal Code'].split(' ')[0] === prefix
+                );
+                if (theory) link(theory, lab);
+            });
+
+            CONFIGURED_COURSE_PAIRS.forEach(([theoryCode, labCode]) => {
+                const theory = uniqueCourses.find(c => c['Formal Code'] === theoryCode);
+                const lab = uniqueCourses.find(c => c['Formal Code'] === labCode);
+                if (theory && lab) link(theory, lab);
+            });
+
+            return pairs;
+        }
+
+        /**
+         * Checks a section against its partner's pick under the current pairing rule.
+         * @returns {string|null} Explanation when the combination is not allowed, otherwise null.
+         */
+        function getPairMismatch(section, selections) {
+            if (pairingRule === 'none') return null;
+            const partnerSection = selections[coursePairs.get(getCourseKey(section))];
+            if (!partnerSection) return null;
+
+            if (pairingRule === 'section' && section['Section'] !== partnerSection['Section']) {
+                return `Must match ${partnerSection['Formal Code']} section ${partnerSection['Section']}.`;
+            }
+            if (pairingRule === 'faculty' && section['Initial'] !== partnerSection['Initial']) {
+                return `Must have the same faculty as ${partnerSection['Formal Code']} (${partnerSection['Initial']}).`;
+            }
+            return null;
+        }
+
+        /** Renders the "add its partner?" prompt in the Selected Courses panel (View 1). */
+        function renderPairPrompt() {
+            const panel = document.getElementById('pair-prompt');
+            if (!panel) return;
+
+            if (!pairPrompt || selectedCoursesForAssignment.has(pairPrompt.partnerKey)) {
+                panel.classList.add('hidden');
+                return;
+            }
+
+            const course = uniqueCourses.find(c => c.key === pairPrompt.courseKey);
+            const partner = uniqueCourses.find(c => c.key === pairPrompt.partnerKey);
+            panel.classList.remove('hidden');
+            panel.innerHTML = `
+                <p class="text-sm text-indigo-800 mb-2">
+                    ${course['Formal Code']} is usually taken with its ${isLabCourse(partner.key) ? 'lab' : 'theory'} course
+                    <strong>${partner['Formal Code']}</strong> (${partner['Title']}). Add it too?
+                </p>
+                <div class="flex gap-2">
+                    <button onclick="addPairedCourse()" class="py-1 px-3 rounded-lg bg-indigo-600 text-white text-xs font-semibold hover:bg-indigo-700 transition duration-150">Add ${partner['Formal Code']}</button>
+                    <button onclick="dismissPairPrompt()" class="py-1 px-3 rounded-lg bg-gray-200 text-gray-800 text-xs font-semibold hover:bg-gray-300 transition duration-150">Not now</button>
+                </div>
+            `;
+        }
+
+        /** Accepts the pair prompt by selecting the partner course. */
+        window.addPairedCourse = function() {
+            if (!pairPrompt) return;
+            selectedCoursesForAssignment.add(pairPrompt.partnerKey);
+            pairPrompt = null;
+            filterAndRenderCourses();
+            persistSession();
+        }
+
+        /** Hides the pair prompt without adding the partner. */
+        window.dismissPairPrompt = function() {
+            pairPrompt = null;
+            renderPairPrompt();
+        }
+
+        /** Switches the theory/lab pairing rule and re-renders the affected panels (View 2). */
+        window.handlePairingRuleChange = function(rule) {
+            pairingRule = rule;
+            filterAndRenderSections();
+            renderScheduleSummary();
+            persistSession();
+        }
+
+        // --- Room Locations & Travel Time ---
+
+        /** Loads the named-room directory. Without it, only numbered rooms have a location. */
+        async function loadRoomDirectory() {
+            try {
+                const response = await fetch(ROOMS_CONFIG_URL);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const config = await response.json();
+                roomDirectory = { defaultBuilding: config.defaultBuilding || 'Main', rooms: config.rooms || {} };
+            } catch (error) {
+                console.error("Failed to load room directory:", error);
+            }
+        }
+
+        /**
+         * Works out where a room is. Named rooms come from the room directory; numbered rooms
+         * encode the floor in the leading digits ("808" → floor 8, "1204" → floor 12), with an
+         * optional building prefix ("B-304"). A "(Computer Lab)" suffix is ignored.
+         * @returns {{ building: string, floor: number }|null} Null when the location is unknown.
+         */
+        function getRoomLocation(room) {
+            const text = String(room || '').trim();
+            if (!text || /^(TBA|N\/A|-)$/i.test(text)) return null;
+
+            if (roomDirectory.rooms[text]) return roomDirectory.rooms[text];
+            const name = text.replace(/\s*\(.*\)$/, '');
+            if (roomDirectory.rooms[name]) return roomDirectory.rooms[name];
+
+            const match = name.match(/^(?:([A-Za-z]+)[-\s]?)?(\d{3,4})$/);
+            if (!match) return null;
+            return {
+                building: match[1] ? match[1].toUpperCase() : roomDirectory.defaultBuilding,
+                floor: parseInt(match[2].slice(0, -2), 10)
+            };
+        }
+
+        /** Minutes needed to get from one room to another, or null when either location is unknown. */
+        function getTravelMinutes(fromRoom, toRoom) {
+            if (fromRoom === toRoom) return 0;
+            const from = getRoomLocation(fromRoom);
+            const to = getRoomLocation(toRoom);
+            if (!from || !to) return null;
+            if (from.building !== to.building) return TRAVEL_MINUTES.buildingChange;
+
+            const floorsApart = Math.abs(from.floor - to.floor);
+            return TRAVEL_MINUTES.roomChange + Math.max(0, floorsApart - 1) * TRAVEL_MINUTES.perExtraFloor;
+        }
+
+        /**
+         * Finds back-to-back classes (on the same day, not overlapping) whose gap is shorter than
+         * the walk between their rooms. Hard overlaps are left to findConflict().
+         * @returns {Array<{ from, to, day, gap, required }>} from/to are { section, slot }, in time order.
+         */
+        function findTightTransitions(sections) {
+            const meetings = sections.flatMap(section => getSectionSchedule(section).map(slot => ({ section, slot })));
+            const transitions = [];
+
+            meetings.forEach(from => {
+                meetings.forEach(to => {
+                    if (getCourseKey(from.section) === getCourseKey(to.section) || from.slot.day !== to.slot.day) return;
+                    const gap = to.slot.start - from.slot.end;
+                    if (gap < 0 || gap > TRAVEL_CHECK_WINDOW) return;
+
+                    const required = getTravelMinutes(from.slot.room, to.slot.room);
+                    if (required !== null && gap < required) {
+                        transitions.push({ from, to, day: from.slot.day, gap, required });
+                    }
+                });
+            });
+            return transitions;
+        }
+
+        /** Returns the first tight transition between a section and the other selections, or null. */
+        function findTravelIssue(newSectionData, currentSelections) {
+            if (!travelWarningsEnabled) return null;
+            const courseKey = getCourseKey(newSectionData);
+            const others = Object.entries(currentSelections)
+                .filter(([key]) => key !== courseKey)
+                .map(([, section]) => section);
+
+            return findTightTransitions([newSectionData, ...others]).find(transition =>
+                getCourseKey(transition.from.section) === courseKey || getCourseKey(transition.to.section) === courseKey
+            ) || null;
+        }
+
+        /** Formats a transition as "CSE 2215 (room 304) ends Sun 11:10:AM, CSE 1111 (room 808) starts 11:11:AM: 1 min to travel, needs ~5.". */
+        function describeTransition(transition) {
+            const { from, to, day, gap, required } = transition;
+            return `${from.section['Formal Code']} (room ${from.slot.room}) ends ${day} ${timeSlotToString(from.slot.end)}, ` +
+                `${to.section['Formal Code']} (room ${to.slot.room}) starts ${timeSlotToString(to.slot.start)}: ` +
+                `${gap} min to travel, needs ~${required}.`;
+        }
+
+        /** Lists every tight transition in the current plan under the conflict message (View 2). */
+        function renderTravelWarnings() {
+            const panel = document.getElementById('travel-warning-message');
+            if (!panel) return;
+
+            const transitions = travelWarningsEnabled ? findTightTransitions(Object.values(selectedSections)) : [];
+            panel.classList.toggle('hidden', transitions.length === 0);
+            panel.innerHTML = `
+                <p class="font-bold">Tight transitions</p>
+                <ul class="text-sm list-disc list-inside space-y-1">
+                    ${transitions.map(transition => `<li>${describeTransition(transition)}</li>`).join('')}
+                </ul>
+            `;
+        }
+
+        /** Turns the travel-time warnings on or off. */
+        window.handleTravelWarningsToggle = function(isEnabled) {
+            travelWarningsEnabled = isEnabled;
+            renderScheduleSummary();
+            if (currentView2CourseKey) filterAndRenderSections();
+            persistSession();
+        }
+
+        // --- Personal Busy Blocks ---
+
+        /** Formats minutes from midnight as an <input type="time"> value ("14:05"). */
+        function minutesToTimeInput(minutes) {
+            return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        }
+
+        /** Parses an <input type="time"> value into minutes from midnight, or -1. */
+        function timeInputToMinutes(value) {
+            const match = String(value || '').match(/^(\d{1,2}):(\d{2})/);
+            return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : -1;
+        }
+
+        /**
+         * Busy blocks dressed up as section rows, so getSectionSchedule() and the conflict
+         * checks treat them like any other meeting.
+         * @returns {Object<string, object>} Keyed "busy_<id>", never a real course key.
+         */
+        function getBusyBlockSections() {
+            return Object.fromEntries(busyBlocks.map(block => [`busy_${block.id}`, {
+                'Program': '',
+                'Formal Code': 'Busy',
+                'Title': block.label,
+                'Section': block.label,
+                'Room1': '',
+                'Room2': '',
+                'Day1': block.day,
+                'Day2': '',
+                'Time1': `${timeSlotToString(block.start)} - ${timeSlotToString(block.end)}`,
+                'Time2': '',
+                'Faculty Full Name': '',
+                'Initial': '',
+                'Cr.': '0',
+                isBusyBlock: true
+            }]));
+        }
+
+        /** Converts busy blocks into timetable blocks. */
+        function busyBlocksToTimetableBlocks() {
+            return busyBlocks.map(block => ({
+                day: block.day,
+                start: block.start,
+                end: block.end,
+                label: block.label,
+                sublabel: 'Busy',
+                color: BUSY_BLOCK_COLOR,
+                isBusy: true
+            }));
+        }
+
+        /** Lists the busy blocks as removable chips (View 2). */
+        function renderBusyBlockList() {
+            const list = document.getElementById('busy-block-list');
+            if (!list) return;
+
+            list.innerHTML = busyBlocks.length === 0
+                ? '<p class="text-xs text-gray-500">No busy times yet.</p>'
+                : busyBlocks.map(block => `
+                    <span class="inline-flex items-center gap-1 py-1 px-2 rounded-full bg-gray-100 border border-gray-300 text-xs text-gray-800">
+                        <strong>${escapeHTML(block.label)}</strong> ${block.day} ${timeSlotToString(block.start)} - ${timeSlotToString(block.end)}
+                        <button onclick="removeBusyBlock('${block.id}')" class="text-red-500 hover:text-red-700 font-bold ml-1" title="Remove">&times;</button>
+                    </span>
+                `).join('');
+        }
+
+        /** Re-renders everything a busy block can affect, then saves. */
+        function refreshAfterBusyChange() {
+            fixSuggestions = null;
+            renderBusyBlockList();
+            renderScheduleSummary(); // Also redraws the timetable
+            if (currentView2CourseKey) filterAndRenderSections();
+            persistSession();
+        }
+
+        /** Fills the entry form with a range drawn on the timetable and asks for a label. */
+        function prefillBusyBlockForm(day, start, end) {
+            document.getElementById('busy-day').value = day;
+            document.getElementById('busy-start').value = minutesToTimeInput(start);
+            document.getElementById('busy-end').value = minutesToTimeInput(end);
+            const label = document.getElementById('busy-label');
+            label.focus();
+            label.select(); // Type a new label or press Add to reuse the last one
+        }
+
+        /** Adds a busy block from the entry form. */
+        window.addBusyBlock = function() {
+            const errorElement = document.getElementById('busy-error');
+            const day = document.getElementById('busy-day').value;
+            const start = timeInputToMinutes(document.getElementById('busy-start').value);
+            const end = timeInputToMinutes(document.getElementById('busy-end').value);
+            const label = document.getElementById('busy-label').value.trim() || 'Busy';
+
+            if (start === -1 || end === -1 || end <= start) {
+                errorElement.textContent = 'Please enter a start time before the end time.';
+                errorElement.classList.remove('hidden');
+                return;
+            }
+            errorElement.classList.add('hidden');
+
+            busyBlocks.push({ id: `busy-${Date.now()}-${busyBlocks.length}`, day, start, end, label });
+            refreshAfterBusyChange();
+        }
+
+        /** Removes a busy block. */
+        window.removeBusyBlock = function(blockId) {
+            busyBlocks = busyBlocks.filter(block => block.id !== blockId);
+            refreshAfterBusyChange();
+        }
+
+        // --- Weekly Timetable Grid ---
+
+        const DAY_ORDER = ["Sat", "Sun", "Mon", "Tue", "Wed", "Thu", "Fri"]; // University week starts on Saturday
+        const TIMETABLE_PX_PER_MINUTE = 0.8;
+        const COURSE_COLORS = [ // { background, border, text } per course, assigned in Formal Code order
+            { background: '#ebf4ff', border: '#7f9cf5', text: '#3c366b' }, // indigo
+            { background: '#e6fffa', border: '#4fd1c5', text: '#234e52' }, // teal
+            { background: '#fefcbf', border: '#ecc94b', text: '#744210' }, // yellow
+            { background: '#faf5ff', border: '#b794f4', text: '#44337a' }, // purple
+            { background: '#fffaf0', border: '#f6ad55', text: '#7b341e' }, // orange
+            { background: '#f0fff4', border: '#68d391', text: '#22543d' }, // green
+            { background: '#fff5f7', border: '#f687b3', text: '#702459' }, // pink
+            { background: '#ebf8ff', border: '#63b3ed', text: '#2a4365' }  // blue
+        ];
+
+        /** Returns the days used anywhere in the loaded data, in week order. */
+        function getDataDays() {
+            const used = new Set();
+            allCoursesData.forEach(row => {
+                getSectionSchedule(row).forEach(slot => used.add(slot.day));
+            });
+            return DAY_ORDER.filter(day => used.has(day));
+        }
+
+        /** Returns the whole-hour time range that covers every meeting in the loaded data. */
+        function getDataTimeRange() {
+            let start = Infinity;
+            let end = -Infinity;
+            allCoursesData.forEach(row => {
+                getSectionSchedule(row).forEach(slot => {
+                    start = Math.min(start, slot.start);
+                    end = Math.max(end, slot.end);
+                });
+            });
+            if (start === Infinity) return { start: 8 * 60, end: 17 * 60 };
+            return { start: Math.floor(start / 60) * 60, end: Math.ceil(end / 60) * 60 };
+        }
+
+        /**
+         * Assigns side-by-side lanes to the blocks of one day and flags overlaps.
+         * Blocks that overlap in time form a cluster that shares the column width.
+         */
+        function layoutDayBlocks(blocks) {
+            const sorted = [...blocks].sort((a, b) => a.start - b.start || a.end - b.end);
+            let cluster = [];
+            let clusterEnd = -1;
+
+            const closeCluster = () => {
+                const laneEnds = [];
+                cluster.forEach(block => {
+                    let lane = laneEnds.findIndex(end => end <= block.start);
+                    if (lane === -1) {
+                        lane = laneEnds.length;
+                        laneEnds.push(block.end);
+                    } else {
+                        laneEnds[lane] = block.end;
+                    }
+                    block.lane = lane;
+                });
+                cluster.forEach(block => { block.laneCount = laneEnds.length; });
+
+                for (let i = 0; i < cluster.length; i++) {
+                    for (let j = i + 1; j < cluster.length; j++) {
+                        if (checkOverlap(cluster[i].start, cluster[i].end, cluster[j].start, cluster[j].end)) {
+                            cluster[i].isConflict = true;
+                            cluster[j].isConflict = true;
+                        }
+                    }
+                }
+            };
+
+            sorted.forEach(block => {
+                if (cluster.length > 0 && block.start >= clusterEnd) {
+                    closeCluster();
+                    cluster = [];
+                }
+                cluster.push(block);
+                clusterEnd = Math.max(clusterEnd, block.end);
+            });
+            if (cluster.length > 0) closeCluster();
+            return sorted;
+        }
+
+        /**
+         * Renders a weekly timetable into a container.
+         * @param {HTMLElement} container - Element to render into.
+         * @param {object[]} blocks - { day, start, end, label, sublabel, color, isPreview } in minutes from midnight.
+         * @param {{days?: string[], range?: {start: number, end: number}, includeBusyBlocks?: boolean, onDraw?: Function}} [options]
+         *        Defaults to the loaded data's days and hours. The student's busy blocks are drawn unless
+         *        includeBusyBlocks is false; onDraw(day, start, end) enables dragging out new blocks.
+         */
+        function renderTimetableGrid(container, blocks, options = {}) {
+            const showBusy = options.includeBusyBlocks !== false;
+            if (showBusy) blocks = [...blocks, ...busyBlocksToTimetableBlocks()];
+
+            const busyDays = showBusy ? busyBlocks.map(block => block.day) : [];
+            const days = options.days || DAY_ORDER.filter(day => getDataDays().includes(day) || busyDays.includes(day));
+            const dataRange = options.range || getDataTimeRange();
+            const range = showBusy && !options.range && busyBlocks.length > 0
+                ? {
+                    start: Math.min(dataRange.start, Math.floor(Math.min(...busyBlocks.map(b => b.start)) / 60) * 60),
+                    end: Math.max(dataRange.end, Math.ceil(Math.max(...busyBlocks.map(b => b.end)) / 60) * 60)
+                }
+                : dataRange;
+            const height = (range.end - range.start) * TIMETABLE_PX_PER_MINUTE;
+
+            const hourMarks = [];
+            for (let minutes = range.start; minutes <= range.end; minutes += 60) {
+                hourMarks.push(minutes);
+            }
+            const top = (minutes) => (minutes - range.start) * TIMETABLE_PX_PER_MINUTE;
+
+            container.innerHTML = `
+                <div class="grid min-w-[600px]" style="grid-template-columns: 60px repeat(${days.length}, minmax(0, 1fr));">
+                    <div></div>
+                    ${days.map(day => `<div class="text-center text-sm font-semibold text-gray-700 pb-1">${day}</div>`).join('')}
+
+                    <div class="relative" style="height: ${height}px;">
+                        ${hourMarks.map(minutes => `
+                            <div class="absolute right-1 text-[10px] text-gray-500" style="top: ${Math.max(top(minutes) - 6, 0)}px;">${timeSlotToString(minutes)}</div>
+                        `).join('')}
+                    </div>
+                    ${days.map(day => `
+                        <div class="timetable-day" data-day="${day}" style="height: ${height}px;">
+                            ${hourMarks.map(minutes => `<div class="timetable-hour-line" style="top: ${top(minutes)}px;"></div>`).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+
+            days.forEach(day => {
+                const column = container.querySelector(`.timetable-day[data-day="${day}"]`);
+                const dayBlocks = layoutDayBlocks(blocks.filter(block => block.day === day));
+
+                dayBlocks.forEach(block => {
+                    const width = 100 / block.laneCount;
+                    const element = document.createElement('div');
+                    element.className = `timetable-block ${block.isConflict ? 'timetable-conflict' : ''} ${block.isPreview ? 'timetable-preview' : ''} ${block.isBusy ? 'timetable-busy' : ''}`;
+                    element.style.cssText = `
+                        top: ${top(Math.max(block.start, range.start))}px;
+                        height: ${Math.max((Math.min(block.end, range.end) - Math.max(block.start, range.start)) * TIMETABLE_PX_PER_MINUTE, 12)}px;
+                        left: calc(${block.lane * width}% + 1px);
+                        width: calc(${width}% - 2px);
+                        background-color: ${block.color.background};
+                        border-color: ${block.color.border};
+                        color: ${block.color.text};
+                    `;
+                    element.title = `${block.label} ${block.sublabel || ''}\n${timeSlotToString(block.start)} - ${timeSlotToString(block.end)}`;
+                    element.innerHTML = `
+                        <strong>${escapeHTML(block.label)}</strong>
+                        ${block.sublabel ? `<div class="truncate">${escapeHTML(block.sublabel)}</div>` : ''}
+                        <div>${timeSlotToString(block.start)} - ${timeSlotToString(block.end)}</div>
+                    `;
+                    column.appendChild(element);
+                });
+            });
+
+            if (options.onDraw) enableTimetableDrawing(container, range, options.onDraw);
+        }
+
+        /** Lets the user drag vertically in a day column to mark a time range. */
+        function enableTimetableDrawing(container, range, onDraw) {
+            const toMinutes = (column, clientY) => {
+                const offset = (clientY - column.getBoundingClientRect().top) / TIMETABLE_PX_PER_MINUTE;
+                const snapped = Math.round(offset / BUSY_DRAW_SNAP_MINUTES) * BUSY_DRAW_SNAP_MINUTES;
+                return Math.min(Math.max(range.start + snapped, range.start), range.end);
+            };
+
+            container.querySelectorAll('.timetable-day').forEach(column => {
+                column.style.cursor = 'crosshair';
+                column.addEventListener('mousedown', (event) => {
+                    if (event.button !== 0 || event.target.closest('.timetable-block')) return;
+                    event.preventDefault();
+
+                    const anchor = toMinutes(column, event.clientY);
+                    let current = anchor;
+                    const marker = document.createElement('div');
+                    marker.className = 'timetable-draw';
+                    column.appendChild(marker);
+
+                    const update = () => {
+                        marker.style.top = `${(Math.min(anchor, current) - range.start) * TIMETABLE_PX_PER_MINUTE}px`;
+                        marker.style.height = `${Math.abs(current - anchor) * TIMETABLE_PX_PER_MINUTE}px`;
+                    };
+                    const onMove = (moveEvent) => {
+                        current = toMinutes(column, moveEvent.clientY);
+                        update();
+                    };
+                    const onUp = () => {
+                        document.removeEventListener('mousemove', onMove);
+                        document.removeEventListener('mouseup', onUp);
+                        marker.remove();
+                        if (current !== anchor) onDraw(column.dataset.day, Math.min(anchor, current), Math.max(anchor, current));
+                    };
+                    update();
+                    document.addEventListener('mousemove', onMove);
+                    document.addEventListener('mouseup', onUp);
+                });
+            });
+        }
+
+        /** Converts sections into timetable blocks, colouring each course consistently. */
+        function sectionsToTimetableBlocks(sections, colorKeys) {
+            return sections.flatMap(section => {
+                const colorIndex = Math.max(colorKeys.indexOf(getCourseKey(section)), 0);
+                // Some rows repeat the same meeting in Day1/Day2; draw it once
+                const slots = getSectionSchedule(section).filter((slot, index, all) =>
+                    all.findIndex(other => other.day === slot.day && other.start === slot.start && other.end === slot.end) === index
+                );
+                return slots.map(slot => ({
+                    day: slot.day,
+                    start: slot.start,
+                    end: slot.end,
+                    label: `${section['Formal Code']} - ${section['Section']}`,
+                    sublabel: slot.room ? `Room ${slot.room}` : '',
+                    color: COURSE_COLORS[colorIndex % COURSE_COLORS.length]
+                }));
+            });
+        }
+
+        /**
+         * Renders the live weekly timetable of selected sections (View 2).
+         * @param {object} [previewSection] - Section being hovered; drawn dashed in place of its course's pick.
+         */
+        function renderWeeklyTimetable(previewSection) {
+            const container = document.getElementById('weekly-timetable');
+            if (!container) return;
+
+            // Colour by position among the assigned courses so colours stay put while picking
+            const colorKeys = Array.from(selectedCoursesForAssignment).sort();
+            const previewKey = previewSection ? getCourseKey(previewSection) : null;
+
+            const sections = Object.entries(selectedSections)
+                .filter(([courseKey]) => courseKey !== previewKey)
+                .map(([, section]) => section);
+            const blocks = sectionsToTimetableBlocks(sections, colorKeys);
+            if (previewSection) {
+                sectionsToTimetableBlocks([previewSection], colorKeys).forEach(block => {
+                    blocks.push({ ...block, isPreview: true });
+                });
+            }
+
+            renderTimetableGrid(container, blocks, { onDraw: prefillBusyBlockForm });
+        }
+
+        // --- Credit-Load Validation ---
+
+        /**
+         * Loads the registration limits. Program entries override individual default limits;
+         * a missing or null limit is not checked. Without the file nothing is checked.
+         */
+        async function loadCreditLoadRules() {
+            try {
+                const response = await fetch(CREDIT_RULES_URL);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const config = await response.json();
+                creditLoadRules = { default: config.default || {}, programs: config.programs || {} };
+            } catch (error) {
+                console.error("Failed to load credit-load rules:", error);
+            }
+        }
+
+        /** Picks the rule set for a plan: the default limits plus the overrides of the program most of its sections belong to. */
+        function getCreditLoadRules(sectionMap) {
+            const programCounts = {};
+            Object.values(sectionMap).forEach(section => {
+                programCounts[section['Program']] = (programCounts[section['Program']] || 0) + 1;
+            });
+            const program = Object.keys(programCounts).sort((a, b) => programCounts[b] - programCounts[a])[0];
+            const overrides = (program && creditLoadRules.programs[program]) || {};
+            return { program: program || 'default', rules: { ...creditLoadRules.default, ...overrides } };
+        }
+
+        /**
+         * Checks a plan against its program's credit-load rules.
+         * @returns {Array<{ label: string, passed: boolean, message: string }>} One entry per enabled rule.
+         */
+        function checkCreditLoad(sectionMap) {
+            const sections = Object.values(sectionMap);
+            const { program, rules } = getCreditLoadRules(sectionMap);
+            const credits = sumCredits(sections);
+            const labs = sections.filter(section => isLabCourse(getCourseKey(section)));
+
+            // Classes per day: each distinct meeting counts once, even if a row repeats it
+            const classesPerDay = {};
+            sections.forEach(section => {
+                const meetings = new Set(getSectionSchedule(section).map(slot => `${slot.day}|${slot.start}|${slot.end}`));
+                meetings.forEach(meeting => {
+                    const day = meeting.split('|')[0];
+                    classesPerDay[day] = (classesPerDay[day] || 0) + 1;
+                });
+            });
+            const busiestDays = Object.entries(classesPerDay).filter(([, count]) => count > rules.maxClassesPerDay);
+
+            const checks = [];
+            if (rules.minCredits != null) {
+                checks.push({
+                    label: `At least ${rules.minCredits} credits`,
+                    passed: credits >= rules.minCredits,
+                    message: `${credits} credits is below the ${program} minimum of ${rules.minCredits}.`
+                });
+            }
+            if (rules.maxCredits != null) {
+                checks.push({
+                    label: `At most ${rules.maxCredits} credits`,
+                    passed: credits <= rules.maxCredits,
+                    message: `${credits} credits exceeds the ${program} cap of ${rules.maxCredits}.`
+                });
+            }
+            if (rules.maxLabs != null) {
+                checks.push({
+                    label: `At most ${rules.maxLabs} labs`,
+                    passed: labs.length <= rules.maxLabs,
+                    message: `${labs.length} labs (${labs.map(s => s['Formal Code']).join(', ')}) exceeds the limit of ${rules.maxLabs}.`
+                });
+            }
+            if (rules.maxClassesPerDay != null) {
+                checks.push({
+                    label: `At most ${rules.maxClassesPerDay} classes per day`,
+                    passed: busiestDays.length === 0,
+                    message: `Too many classes on ${busiestDays.map(([day, count]) => `${day} (${count})`).join(', ')}; the limit is ${rules.maxClassesPerDay}.`
+                });
+            }
+            return checks;
+        }
+
+        /** Shows failed credit-load checks under the credit total and colours the total (View 2). */
+        function renderCreditLoadWarnings() {
+            const list = document.getElementById('credit-load-warnings');
+            const totalCreditsElement = document.getElementById('total-credits');
+            if (!list || !totalCreditsElement) return;
+
+            const failed = Object.keys(selectedSections).length > 0
+                ? checkCreditLoad(selectedSections).filter(check => !check.passed)
+                : [];
+
+            totalCreditsElement.classList.toggle('bg-blue-100', failed.length === 0);
+            totalCreditsElement.classList.toggle('text-blue-800', failed.length === 0);
+            totalCreditsElement.classList.toggle('bg-red-100', failed.length > 0);
+            totalCreditsElement.classList.toggle('text-red-800', failed.length > 0);
+
+            list.classList.toggle('hidden', failed.length === 0);
+            list.innerHTML = failed.map(check => `<li>⚠ ${check.message}</li>`).join('');
+        }
+
+        /** Renders the full pass/fail checklist (used before exporting). */
+        function renderLoadChecklist(container) {
+            if (!container) return;
+            const checks = checkCreditLoad(selectedSections);
+            const { program } = getCreditLoadRules(selectedSections);
+            if (checks.length === 0) {
+                container.innerHTML = `<p class="text-sm text-gray-500">No registration rules are configured for ${escapeHTML(program)}; nothing is checked before export.</p>`;
+                return;
+            }
+            container.innerHTML = `
+                <p class="text-sm font-semibold text-gray-700 mb-1">Registration rules (${escapeHTML(program)})</p>
+                <ul class="text-sm space-y-1">
+                    ${checks.map(check => `
+                        <li class="${check.passed ? 'text-green-700' : 'text-red-700 font-semibold'}">
+                            ${check.passed ? '✓' : '✗'} ${check.label}${check.passed ? '' : ` — ${check.message}`}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        // --- iCalendar Export ---
+
+        const ICS_SETTINGS_STORAGE_KEY = 'icsExportSettings';
+        const DEFAULT_TIMEZONE = 'Asia/Dhaka';
+        const DEFAULT_SEMESTER_WEEKS = 14;
+        const ICS_DAY_CODES = { Sun: 'SU', Mon: 'MO', Tue: 'TU', Wed: 'WE', Thu: 'TH', Fri: 'FR', Sat: 'SA' };
+        const DAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }; // Matches Date#getUTCDay
+
+        /** Parses "YYYY-MM-DD" into a UTC-midnight Date, or null if invalid. */
+        function parseISODate(text) {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((text || '').trim());
+            if (!match) return null;
+            const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+            return date.getUTCDate() === Number(match[3]) ? date : null;
+        }
+
+        /** Formats a UTC-midnight Date as "YYYY-MM-DD". */
+        function formatISODate(date) {
+            return date.toISOString().slice(0, 10);
+        }
+
+        /** Returns a new date the given number of days later. */
+        function addDays(date, days) {
+            return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+        }
+
+        /**
+         * Expands the exception list ("YYYY-MM-DD" or "YYYY-MM-DD..YYYY-MM-DD" per line) into a set of ISO dates.
+         * @returns {{dates: Set<string>, errors: string[]}}
+         */
+        function parseExceptionDates(text) {
+            const dates = new Set();
+            const errors = [];
+            (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+                const [fromText, toText] = line.split('..').map(part => part.trim());
+                const from = parseISODate(fromText);
+                const to = toText === undefined ? from : parseISODate(toText);
+                if (!from || !to || to < from) {
+                    errors.push(`Invalid date or range: "${line}"`);
+                    return;
+                }
+                for (let day = from; day <= to; day = addDays(day, 1)) {
+                    dates.add(formatISODate(day));
+                }
+            });
+            return { dates, errors };
+        }
+
+        /** Returns the UTC offset (in minutes, east positive) of a time zone at an instant. */
+        function getTimeZoneOffset(timeZone, instant) {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }).formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+            const asUTC = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+            return Math.round((asUTC - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+        }
+
+        /** Checks that the browser knows an IANA time zone name. */
+        function isValidTimeZone(timeZone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone });
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /** Formats an offset in minutes as an iCalendar UTC offset, e.g. +0600. */
+        function formatICSOffset(minutes) {
+            const sign = minutes < 0 ? '-' : '+';
+            const abs = Math.abs(minutes);
+            return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+        }
+
+        /** Formats a wall-clock date plus minutes from midnight as a local iCalendar DATE-TIME (no Z). */
+        function formatICSLocalDateTime(date, minutes) {
+            return `${formatISODate(date).replace(/-/g, '')}T${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}00`;
+        }
+
+        /** Formats an instant as a UTC iCalendar DATE-TIME (YYYYMMDDTHHMMSSZ). */
+        function formatICSUTCDateTime(instant) {
+            return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        }
+
+        /** Escapes TEXT values (RFC 5545 section 3.3.11). */
+        function escapeICSText(text) {
+            return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+        }
+
+        /** Folds a content line to 75 octets as required by RFC 5545 section 3.1. */
+        function foldICSLine(line) {
+            const encoder = new TextEncoder();
+            const chunks = [];
+            let current = '';
+            for (const char of line) {
+                const limit = chunks.length === 0 ? 75 : 74; // Continuation lines start with a space
+                if (encoder.encode(current + char).length > limit) {
+                    chunks.push(current);
+                    current = char;
+                } else {
+                    current += char;
+                }
+            }
+            chunks.push(current);
+            return chunks.join('\r\n ');
+        }
+
+        /**
+         * Builds a VTIMEZONE for the semester. Each UTC-offset change inside the range
+         * (found by scanning day by day, then hour by hour) becomes its own observance,
+         * so zones without daylight saving get a single STANDARD block.
+         */
+        function buildVTimezone(timeZone, startDate, endDate) {
+            const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+            const scanStart = addDays(startDate, -1);
+            let previousOffset = getTimeZoneOffset(timeZone, scanStart);
+
+            // Standard time is the smaller of the January and July offsets (works in both hemispheres)
+            const year = startDate.getUTCFullYear();
+            const standardOffset = Math.min(
+                getTimeZoneOffset(timeZone, new Date(Date.UTC(year, 0, 1))),
+                getTimeZoneOffset(timeZone, new Date(Date.UTC(year, 6, 1)))
+            );
+            const componentFor = (offset) => offset > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+            const initialComponent = componentFor(previousOffset);
+
+            lines.push(
+                `BEGIN:${initialComponent}`,
+                'DTSTART:19700101T000000',
+                `TZOFFSETFROM:${formatICSOffset(previousOffset)}`,
+                `TZOFFSETTO:${formatICSOffset(previousOffset)}`,
+                `END:${initialComponent}`
+            );
+
+            for (let day = scanStart; day <= addDays(endDate, 1); day = addDays(day, 1)) {
+                const nextDay = addDays(day, 1);
+                const nextOffset = getTimeZoneOffset(timeZone, nextDay);
+                if (nextOffset === previousOffset) continue;
+
+                // Narrow the transition down to the hour
+                let instant = day;
+                while (getTimeZoneOffset(timeZone, instant) === previousOffset) {
+                    instant = new Date(instant.getTime() + 60 * 60 * 1000);
+                }
+                const localStart = new Date(instant.getTime() + previousOffset * 60000); // Wall-clock time before the jump
+                const component = componentFor(nextOffset);
+                lines.push(
+                    `BEGIN:${component}`,
+                    `DTSTART:${formatICSUTCDateTime(localStart).replace('Z', '')}`,
+                    `TZOFFSETFROM:${formatICSOffset(previousOffset)}`,
+                    `TZOFFSETTO:${formatICSOffset(nextOffset)}`,
+                    `END:${component}`
+                );
+                previousOffset = nextOffset;
+            }
+
+            lines.push('END:VTIMEZONE');
+            return lines;
+        }
+
+        /** Turns a value into a UID-safe token. */
+        function slugForUID(text) {
+            return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        }
+
+        /**
+         * Generates an iCalendar document for the given sections.
+         * Each meeting becomes a weekly recurring event in the chosen time zone,
+         * skipping exception dates via EXDATE. UIDs depend only on course, section,
+         * meeting number and semester start, so re-importing updates existing events.
+         * @param {object[]} sections - Section rows to export.
+         * @param {{start: Date, end: Date, timeZone: string, exceptionDates: Set<string>, sequence: number}} settings
+         *   sequence must grow with every export of the same semester so clients accept the updates.
+         */
+        function generateICS(sections, settings) {
+            const { start, end, timeZone, exceptionDates, sequence } = settings;
+            const dtstamp = formatICSUTCDateTime(new Date());
+
+            // UNTIL must be UTC when DTSTART has a TZID: use the end of the last day in the chosen zone
+            const lastInstantLocal = addDays(end, 1).getTime() - 1000;
+            const until = formatICSUTCDateTime(new Date(lastInstantLocal - getTimeZoneOffset(timeZone, new Date(lastInstantLocal)) * 60000));
+
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                'PRODID:-//UniversityCourseScheduler//NONSGML v1.0//EN',
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                ...buildVTimezone(timeZone, start, end)
+            ];
+
+            sections.forEach(section => {
+                const meetings = [
+                    ...parseScheduleSlot(section['Day1'], section['Time1'], section['Room1']).map(slot => ({ ...slot, number: 1 })),
+                    ...parseScheduleSlot(section['Day2'], section['Time2'], section['Room2']).map(slot => ({ ...slot, number: 2 }))
+                ].filter((slot, index, all) => // Some rows repeat the same meeting in Day1/Day2
+                    all.findIndex(other => other.day === slot.day && other.start === slot.start && other.end === slot.end) === index
+                );
+
+                meetings.forEach(slot => {
+                    if (DAY_INDEX[slot.day] === undefined) return;
+
+                    // First occurrence on or after the semester start
+                    const first = addDays(start, (DAY_INDEX[slot.day] - start.getUTCDay() + 7) % 7);
+                    if (first > end) return;
+
+                    const excluded = [];
+                    for (let day = first; day <= end; day = addDays(day, 7)) {
+                        if (exceptionDates.has(formatISODate(day))) excluded.push(formatICSLocalDateTime(day, slot.start));
+                    }
+
+                    const room = slot.room ? `Room ${slot.room}` : '';
+                    lines.push(
+                        'BEGIN:VEVENT',
+                        `UID:${slugForUID(section['Formal Code'])}-${slugForUID(section['Section'])}-m${slot.number}-${formatISODate(start).replace(/-/g, '')}@coursescheduler`,
+                        `DTSTAMP:${dtstamp}`,
+                        `SEQUENCE:${sequence}`,
+                        `SUMMARY:${escapeICSText(`${section['Formal Code']} (${section['Section']})${room ? ` - ${room}` : ''}`)}`,
+                        `DESCRIPTION:${escapeICSText(`Course: ${section['Title']}\nFaculty: ${section['Faculty Full Name']} (${section['Initial']})${room ? `\n${room}` : ''}`)}`,
+                        `LOCATION:${escapeICSText(room)}`,
+                        `DTSTART;TZID=${timeZone}:${formatICSLocalDateTime(first, slot.start)}`,
+                        `DTEND;TZID=${timeZone}:${formatICSLocalDateTime(first, slot.end)}`,
+                        `RRULE:FREQ=WEEKLY;BYDAY=${ICS_DAY_CODES[slot.day]};UNTIL=${until}`
+                    );
+                    if (excluded.length > 0) {
+                        lines.push(`EXDATE;TZID=${timeZone}:${excluded.join(',')}`);
+                    }
+                    lines.push('END:VEVENT');
+                });
+            });
+
+            lines.push('END:VCALENDAR');
+            return lines.map(foldICSLine).join('\r\n') + '\r\n';
+        }
+
+        /** Problems that block every export of the current plan (calendar, print and files). */
+        function getPlanExportErrors() {
+            const errors = [];
+            if (Object.keys(selectedSections).length === 0) errors.push('Select at least one section to export.');
+            if (checkCreditLoad(selectedSections).some(check => !check.passed)) {
+                errors.push('Your schedule breaks the registration rules above. Adjust it before exporting.');
+            }
+            return errors;
+        }
+
+        /** Triggers a file download for generated text. */
+        function downloadTextFile(filename, text, mimeType) {
+            downloadBlob(filename, new Blob([text], { type: mimeType }));
+        }
+
+        /** Triggers a file download for a Blob (e.g. a rendered image). */
+        function downloadBlob(filename, blob) {
+            const url = URL.createObjectURL(blob);
+            const element = document.createElement('a');
+            element.href = url;
+            element.download = filename;
+            element.style.display = 'none';
+            document.body.appendChild(element);
+            element.click();
+            document.body.removeChild(element);
+            URL.revokeObjectURL(url);
+        }
+
+        /** Reads the last-used export settings from localStorage. */
+        function loadICSSettings() {
+            try {
+                return JSON.parse(localStorage.getItem(ICS_SETTINGS_STORAGE_KEY)) || {};
+            } catch (error) {
+                return {};
+            }
+        }
+
+        /** Opens the export dialog, prefilled with the last-used settings. */
+        window.openICSExportDialog = function() {
+            const modal = document.getElementById('ics-export-modal');
+            if (!modal) return;
+
+            const saved = loadICSSettings();
+            const today = parseISODate(new Date().toISOString().slice(0, 10));
+            document.getElementById('ics-semester-start').value = saved.start || formatISODate(today);
+            document.getElementById('ics-semester-end').value = saved.end || formatISODate(addDays(today, DEFAULT_SEMESTER_WEEKS * 7 - 1));
+            document.getElementById('ics-timezone').value = saved.timeZone || DEFAULT_TIMEZONE;
+            document.getElementById('ics-exception-dates').value = saved.exceptions || '';
+            document.getElementById('ics-export-error').classList.add('hidden');
+            renderLoadChecklist(document.getElementById('ics-load-checklist'));
+
+            const zoneList = document.getElementById('ics-timezone-list');
+            if (zoneList && zoneList.children.length === 0 && Intl.supportedValuesOf) {
+                zoneList.innerHTML = Intl.supportedValuesOf('timeZone').map(zone => `<option value="${zone}">`).join('');
+            }
+
+            modal.classList.remove('hidden');
+        }
+
+        /** Closes the export dialog. */
+        window.closeICSExportDialog = function() {
+            const modal = document.getElementById('ics-export-modal');
+            if (modal) modal.classList.add('hidden');
+        }
+
+        /** Validates the dialog, saves the settings and downloads the calendar file. */
+        window.exportICSFromDialog = function() {
+            const errorElement = document.getElementById('ics-export-error');
+            const startText = document.getElementById('ics-semester-start').value;
+            const endText = document.getElementById('ics-semester-end').value;
+            const timeZone = document.getElementById('ics-timezone').value.trim() || DEFAULT_TIMEZONE;
+            const exceptionsText = document.getElementById('ics-exception-dates').value;
+
+            const start = parseISODate(startText);
+            const end = parseISODate(endText);
+            const { dates, errors } = parseExceptionDates(exceptionsText);
+
+            if (!start || !end || end < start) errors.unshift('Please choose a semester start date on or before the end date.');
+            if (!isValidTimeZone(timeZone)) errors.unshift(`Unknown time zone "${timeZone}".`);
+            errors.unshift(...getPlanExportErrors());
+
+            if (errors.length > 0) {
+                errorElement.innerHTML = errors.join('<br>');
+                errorElement.classList.remove('hidden');
+                return;
+            }
+
+            // One export counter per semester start, the part of the UIDs that identifies the plan
+            const sequences = loadICSSettings().sequences || {};
+            const sequence = (sequences[startText] || 0) + 1;
+            localStorage.setItem(ICS_SETTINGS_STORAGE_KEY, JSON.stringify({
+                start: startText, end: endText, timeZone, exceptions: exceptionsText,
+                sequences: { ...sequences, [startText]: sequence }
+            }));
+
+            const ics = generateICS(Object.values(selectedSections), { start, end, timeZone, exceptionDates: dates, sequence });
+            downloadTextFile(`${EXPORT_FILE_BASENAME}.ics`, ics, 'text/calendar;charset=utf-8');
+            closeICSExportDialog();
+        }
+
+        // --- Print & File Exports ---
+
+        const PRINT_SETTINGS_STORAGE_KEY = 'printExportSettings'; // localStorage key for the colour mode
+        const EXPORT_FILE_BASENAME = 'My_Schedule';
+        const WALLPAPER_SIZE = { width: 1080, height: 1920 }; // PNG export, portrait phone screen
+
+        /** Reads the last-used colour mode ('color' or 'grayscale'). */
+        function getPrintColorMode() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(PRINT_SETTINGS_STORAGE_KEY)) || {};
+                return saved.colorMode === 'grayscale' ? 'grayscale' : 'color';
+            } catch (error) {
+                return 'color';
+            }
+        }
+
+        /** Reads the colour mode picked in the dialog and remembers it. */
+        function readPrintColorMode() {
+            const checked = document.querySelector('input[name="print-color-mode"]:checked');
+            const colorMode = checked ? checked.value : 'color';
+            localStorage.setItem(PRINT_SETTINGS_STORAGE_KEY, JSON.stringify({ colorMode }));
+            return colorMode;
+        }
+
+        /** Opens the print/export dialog. */
+        window.openPrintExportDialog = function() {
+            const modal = document.getElementById('print-export-modal');
+            if (!modal) return;
+
+            const colorMode = getPrintColorMode();
+            document.querySelectorAll('input[name="print-color-mode"]').forEach(input => {
+                input.checked = input.value === colorMode;
+            });
+            document.getElementById('print-export-error').classList.add('hidden');
+            renderLoadChecklist(document.getElementById('print-load-checklist'));
+            modal.classList.remove('hidden');
+        }
+
+        /** Closes the print/export dialog. */
+        window.closePrintExportDialog = function() {
+            const modal = document.getElementById('print-export-modal');
+            if (modal) modal.classList.add('hidden');
+        }
+
+        /** Shows blocking problems in the dialog; returns true when the export may go ahead. */
+        function checkPrintExportAllowed() {
+            const errors = getPlanExportErrors();
+            const errorElement = document.getElementById('print-export-error');
+            if (errors.length > 0) {
+                errorElement.innerHTML = errors.join('<br>');
+                errorElement.classList.remove('hidden');
+                return false;
+            }
+            errorElement.classList.add('hidden');
+            return true;
+        }
+
+        /** Selected sections in course-code order, with the colour index each course uses. */
+        function getPlanForExport() {
+            const colorKeys = Object.keys(selectedSections).sort();
+            const sections = colorKeys.map(courseKey => selectedSections[courseKey]);
+            const credits = sumCredits(sections);
+            return { sections, colorKeys, credits };
+        }
+
+        /** The plan's days and whole-hour range, so the grid fits on one page. */
+        function getPlanGridBounds(sections) {
+            const slots = sections.flatMap(getSectionSchedule);
+            if (slots.length === 0) return { days: getDataDays(), range: getDataTimeRange() };
+            return {
+                days: DAY_ORDER.filter(day => slots.some(slot => slot.day === day)),
+                range: {
+                    start: Math.floor(Math.min(...slots.map(slot => slot.start)) / 60) * 60,
+                    end: Math.ceil(Math.max(...slots.map(slot => slot.end)) / 60) * 60
+                }
+            };
+        }
+
+        /** Formats a section's meetings as "Sat 08:30:AM-09:50:AM", each distinct meeting once. */
+        function getExportMeetings(section) {
+            return getSectionSchedule(section).filter((slot, index, all) =>
+                all.findIndex(other => other.day === slot.day && other.start === slot.start && other.end === slot.end) === index
+            );
+        }
+
+        /** Builds the one-page printable plan: weekly grid, course table and signature lines. */
+        function buildPrintLayout(colorMode) {
+            const layout = document.getElementById('print-layout');
+            const { sections, colorKeys, credits } = getPlanForExport();
+            const { days, range } = getPlanGridBounds(sections);
+
+            layout.className = `hidden p-2 text-gray-900 bg-white ${colorMode === 'grayscale' ? 'print-grayscale' : ''}`;
+            layout.innerHTML = `
+                <div class="flex justify-between items-end border-b-2 border-gray-800 pb-1 mb-2">
+                    <h1 class="text-xl font-extrabold">Semester Schedule</h1>
+                    <p class="text-xs text-gray-600">
+                        ${currentDataset ? `${currentDataset.name} · ` : ''}Printed ${new Date().toLocaleDateString()}
+                    </p>
+                </div>
+                <div id="print-timetable"></div>
+                <table class="w-full text-xs mt-3 border-collapse">
+                    <thead>
+                        <tr class="border-b border-gray-800 text-left">
+                            <th class="p-1">Code</th><th class="p-1">Title</th><th class="p-1">Section</th>
+                            <th class="p-1">Faculty</th><th class="p-1">Times</th><th class="p-1">Rooms</th><th class="p-1 text-right">Cr.</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sections.map(section => {
+                            const meetings = getExportMeetings(section);
+                            return `
+                                <tr class="border-b border-gray-300">
+                                    <td class="p-1 font-semibold whitespace-nowrap">${section['Formal Code']}</td>
+                                    <td class="p-1">${section['Title']}</td>
+                                    <td class="p-1">${section['Section']}</td>
+                                    <td class="p-1">${section['Faculty Full Name']}${section['Initial'] ? ` (${section['Initial']})` : ''}</td>
+                                    <td class="p-1 whitespace-nowrap">${meetings.map(slot => `${slot.day} ${timeSlotToString(slot.start)}-${timeSlotToString(slot.end)}`).join('<br>') || '-'}</td>
+                                    <td class="p-1">${[...new Set(meetings.map(slot => slot.room).filter(Boolean))].join(', ') || '-'}</td>
+                                    <td class="p-1 text-right">${section['Cr.']}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr class="font-bold">
+                            <td class="p-1" colspan="6">Total credits</td>
+                            <td class="p-1 text-right">${credits}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+                <div class="grid grid-cols-3 gap-8 mt-8 text-xs">
+                    ${['Student signature', 'Advisor signature', 'Date'].map(label => `<div class="border-t border-gray-800 pt-1">${label}</div>`).join('')}
+                </div>
+            `;
+            renderTimetableGrid(document.getElementById('print-timetable'), sectionsToTimetableBlocks(sections, colorKeys), { days, range, includeBusyBlocks: false });
+        }
+
+        /** Prints the plan; the browser's print dialog also offers "Save as PDF". */
+        window.printSchedule = function() {
+            if (!checkPrintExportAllowed()) return;
+            buildPrintLayout(readPrintColorMode());
+            closePrintExportDialog();
+            window.print();
+        }
+
+        /** Converts a hex colour to its gray equivalent (by luminance) for grayscale images. */
+        function toGrayscale(hex) {
+            const value = parseInt(hex.slice(1), 16);
+            const gray = Math.round(0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xff) + 0.114 * (value & 0xff));
+            return `rgb(${gray}, ${gray}, ${gray})`;
+        }
+
+        /**
+         * Draws the weekly grid onto a phone-sized canvas (days across, hours down).
+         * @returns {HTMLCanvasElement}
+         */
+        function drawScheduleCanvas(colorMode) {
+            const { sections, colorKeys, credits } = getPlanForExport();
+            const { days, range } = getPlanGridBounds(sections);
+            const paint = colorMode === 'grayscale' ? toGrayscale : color => color;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = WALLPAPER_SIZE.width;
+            canvas.height = WALLPAPER_SIZE.height;
+            const ctx = canvas.getContext('2d');
+
+            // Leave room at the top for the phone's clock and at the bottom for its dock
+            const grid = { left: 120, top: 420, right: canvas.width - 40, bottom: canvas.height - 240 };
+            const columnWidth = (grid.right - grid.left) / days.length;
+            const pxPerMinute = (grid.bottom - grid.top) / (range.end - range.start);
+            const y = minutes => grid.top + (minutes - range.start) * pxPerMinute;
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            ctx.fillStyle = '#1a202c';
+            ctx.font = 'bold 56px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('My Schedule', canvas.width / 2, grid.top - 120);
+            ctx.font = '32px sans-serif';
+            ctx.fillStyle = '#4a5568';
+            ctx.fillText(`${sections.length} course${sections.length === 1 ? '' : 's'} · ${credits} credits`, canvas.width / 2, grid.top - 70);
+
+            ctx.font = 'bold 30px sans-serif';
+            ctx.fillStyle = '#2d3748';
+            days.forEach((day, index) => ctx.fillText(day, grid.left + columnWidth * (index + 0.5), grid.top - 16));
+
+            ctx.textAlign = 'right';
+            ctx.font = '22px sans-serif';
+            for (let minutes = range.start; minutes <= range.end; minutes += 60) {
+                ctx.strokeStyle = '#e2e8f0';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(grid.left, y(minutes));
+                ctx.lineTo(grid.right, y(minutes));
+                ctx.stroke();
+                ctx.fillStyle = '#718096';
+                ctx.fillText(timeSlotToString(minutes).replace(/:00:/, ' '), grid.left - 10, y(minutes) + 8);
+            }
+
+            ctx.textAlign = 'left';
+            days.forEach((day, index) => {
+                const dayBlocks = layoutDayBlocks(sectionsToTimetableBlocks(sections, colorKeys).filter(block => block.day === day));
+                dayBlocks.forEach(block => {
+                    const width = (columnWidth - 8) / block.laneCount;
+                    const x = grid.left + columnWidth * index + 4 + block.lane * width;
+                    const top = y(block.start);
+                    const height = (block.end - block.start) * pxPerMinute;
+
+                    ctx.fillStyle = paint(block.color.background);
+                    ctx.strokeStyle = paint(block.color.border);
+                    ctx.lineWidth = 3;
+                    ctx.fillRect(x, top, width - 4, height);
+                    ctx.strokeRect(x, top, width - 4, height);
+
+                    ctx.fillStyle = paint(block.color.text);
+                    ctx.font = 'bold 26px sans-serif';
+                    ctx.fillText(block.label, x + 8, top + 32, width - 20);
+                    ctx.font = '22px sans-serif';
+                    ctx.fillText(block.sublabel, x + 8, top + 60, width - 20);
+                    ctx.fillText(`${timeSlotToString(block.start)}`, x + 8, top + 86, width - 20);
+                });
+            });
+            return canvas;
+        }
+
+        /** Serializes the selected sections as CSV using the section model's field names. */
+        function buildScheduleCSV() {
+            const fields = SECTION_FIELDS.map(({ field }) => field);
+            const rows = getPlanForExport().sections.map(section => fields.map(field => section[field]));
+            return [fields, ...rows].map(values => values.map(toCSVField).join(',')).join('\r\n') + '\r\n';
+        }
+
+        /** Serializes the selected sections, keyed by course, as JSON (loadable as an offerings file or a plan). */
+        function buildScheduleJSON() {
+            return JSON.stringify({
+                exportedAt: new Date().toISOString(),
+                dataset: currentDataset ? currentDataset.name : null,
+                datasetVersion,
+                totalCredits: getPlanForExport().credits,
+                sections: selectedSections
+            }, null, 2);
+        }
+
+        /** Downloads the plan as 'png', 'csv' or 'json'. */
+        window.exportScheduleFile = function(format) {
+            if (!checkPrintExportAllowed()) return;
+
+            if (format === 'png') {
+                drawScheduleCanvas(readPrintColorMode()).toBlob(blob => {
+                    if (blob) {
+                        downloadBlob(`${EXPORT_FILE_BASENAME}.png`, blob);
+                    } else {
+                        console.error("Failed to render schedule image.");
+                    }
+                }, 'image/png');
+            } else if (format === 'csv') {
+                downloadTextFile(`${EXPORT_FILE_BASENAME}.csv`, buildScheduleCSV(), 'text/csv;charset=utf-8');
+            } else {
+                downloadTextFile(`${EXPORT_FILE_BASENAME}.json`, buildScheduleJSON(), 'application/json');
+            }
+        }
+
+        // --- View 3: Automatic Schedule Generator ---
+
+        /** Checks whether two parsed schedules share any overlapping slot on the same day. */
+        function schedulesOverlap(scheduleA, scheduleB) {
+            for (const slotA of scheduleA) {
+                for (const slotB of scheduleB) {
+                    if (slotA.day === slotB.day && checkOverlap(slotA.start, slotA.end, slotB.start, slotB.end)) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Adds a scored schedule to a binary min-heap holding at most `limit` entries, so the
+         * worst kept schedule (heap[0]) is compared and replaced in O(log n).
+         */
+        function keepBestSchedule(heap, entry, limit) {
+            if (heap.length >= limit) {
+                if (entry.score <= heap[0].score) return;
+                heap[0] = entry;
+                let index = 0;
+                for (;;) {
+                    const left = 2 * index + 1;
+                    const right = left + 1;
+                    let smallest = index;
+                    if (left < heap.length && heap[left].score < heap[smallest].score) smallest = left;
+                    if (right < heap.length && heap[right].score < heap[smallest].score) smallest = right;
+                    if (smallest === index) return;
+                    [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+                    index = smallest;
+                }
+            }
+
+            heap.push(entry);
+            let index = heap.length - 1;
+            while (index > 0) {
+                const parent = (index - 1) >> 1;
+                if (heap[parent].score <= heap[index].score) return;
+                [heap[index], heap[parent]] = [heap[parent], heap[index]];
+                index = parent;
+            }
+        }
+
+        /** Groups meetings by day. */
+        function groupSlotsByDay(slots) {
+            const slotsByDay = {};
+            slots.forEach(slot => {
+                (slotsByDay[slot.day] = slotsByDay[slot.day] || []).push(slot);
+            });
+            return slotsByDay;
+        }
+
+        /** Idle minutes between consecutive classes of one day's meetings. */
+        function getIdleMinutes(daySlots) {
+            const sorted = [...daySlots].sort((a, b) => a.start - b.start);
+            let idle = 0;
+            let lastEnd = sorted[0].end;
+            for (let i = 1; i < sorted.length; i++) {
+                idle += Math.max(0, sorted[i].start - lastEnd);
+                lastEnd = Math.max(lastEnd, sorted[i].end);
+            }
+            return idle;
+        }
+
+        /**
+         * Enumerates the conflict-free combinations of one section per course using backtracking
+         * and returns the best-scoring ones. Courses with the fewest sections are placed first so
+         * that conflicts prune the search early. Once `limit` schedules are kept, a branch is skipped
+         * when even its best possible score (see the bound below) cannot beat the worst kept one,
+         * so the result is the true top `limit` over every combination, not over the first ones found.
+         * @param {string[]} courseKeys - Keys of the courses to schedule.
+         * @param {object} prefs - Preference weights used for scoring, see schedulePreferences.
+         * @param {number} limit - How many of the best schedules to keep.
+         * @returns {{schedules: Array<{sections: object, score: number, breakdown: object[]}>, truncated: boolean}}
+         *          The kept schedules best-first (sections maps courseKey -> sectionData); truncated when
+         *          more conflict-free combinations exist than were kept.
+         */
+        function generateSchedules(courseKeys, prefs, limit) {
+            const facultyPoints = section => prefs.facultyWeight <= 0 ? 0
+                : prefs.preferredFaculty.includes(section['Initial']) ? prefs.facultyWeight
+                : prefs.avoidedFaculty.includes(section['Initial']) ? -prefs.facultyWeight : 0;
+
+            // Pre-parse every candidate section once instead of on each comparison
+            const candidates = courseKeys.map(courseKey => ({
+                courseKey,
+                options: allCoursesData
+                    .filter(row => getCourseKey(row) === courseKey)
+                    .filter(section => findAllConflicts(section, {}).length === 0) // Busy blocks are hard constraints
+                    .map(section => {
+                        const schedule = getSectionSchedule(section);
+                        const minutesByDay = {};
+                        schedule.forEach(slot => { minutesByDay[slot.day] = (minutesByDay[slot.day] || 0) + slot.end - slot.start; });
+                        return {
+                            section,
+                            schedule,
+                            meetingDays: Object.entries(groupSlotsByDay(schedule)).map(([day, slots]) => [DAY_ORDER.indexOf(day), slots]),
+                            minutesByDay,
+                            earlyCount: schedule.filter(slot => slot.start < prefs.earlyStart).length,
+                            facultyPoints: facultyPoints(section)
+                        };
+                    })
+                    // Promising sections first, so good schedules are kept early and more branches are skipped
+                    .sort((a, b) => (b.facultyPoints - prefs.earlyWeight * b.earlyCount) - (a.facultyPoints - prefs.earlyWeight * a.earlyCount))
+            }));
+            candidates.sort((a, b) => a.options.length - b.options.length);
+
+            // What the courses from each depth onwards add at least (early classes, days they always
+            // use) and at most (faculty points, minutes of class per day that could fill a gap)
+            const remaining = [];
+            for (let depth = candidates.length; depth >= 0; depth--) {
+                const after = remaining[depth + 1] || { earlyCount: 0, facultyPoints: 0, minutesByDay: {}, usedDays: new Set() };
+                if (depth === candidates.length) {
+                    remaining[depth] = after;
+                    continue;
+                }
+                const { options } = candidates[depth];
+                const minutesByDay = { ...after.minutesByDay };
+                DAY_ORDER.forEach(day => {
+                    minutesByDay[day] = (minutesByDay[day] || 0) + Math.max(0, ...options.map(option => option.minutesByDay[day] || 0));
+                });
+                remaining[depth] = {
+                    earlyCount: after.earlyCount + Math.min(...options.map(option => option.earlyCount)),
+                    facultyPoints: after.facultyPoints + Math.max(...options.map(option => option.facultyPoints)),
+                    minutesByDay,
+                    usedDays: new Set([...after.usedDays, ...DAY_ORDER.filter(day => options.every(option => option.minutesByDay[day]))])
+                };
+            }
+
+            /**
+             * Places an option on top of a branch's running totals, or returns null when it clashes with
+             * a section already placed. Only the days the option meets on are re-examined.
+             */
+            function extendBranch(branch, option) {
+                const slotsByDay = branch.slotsByDay.slice();
+                const idleByDay = branch.idleByDay.slice();
+                let idleMinutes = branch.idleMinutes;
+                for (const [dayIndex, slots] of option.meetingDays) {
+                    const placed = branch.slotsByDay[dayIndex];
+                    if (placed && slots.some(slot => placed.some(other => checkOverlap(slot.start, slot.end, other.start, other.end)))) return null;
+                    slotsByDay[dayIndex] = placed ? [...placed, ...slots] : slots;
+                    const idle = getIdleMinutes(slotsByDay[dayIndex]);
+                    idleMinutes += idle - idleByDay[dayIndex];
+                    idleByDay[dayIndex] = idle;
+                }
+                return {
+                    slotsByDay,
+                    idleByDay,
+                    idleMinutes,
+                    earlyCount: branch.earlyCount + option.earlyCount,
+                    facultyPoints: branch.facultyPoints + option.facultyPoints
+                };
+            }
+
+            /** Highest score any completion of a branch could reach, rounded like scoreSchedule(). Exact for a complete schedule. */
+            function scoreUpperBound(depth, branch) {
+                const rest = remaining[depth];
+                let gapMinutes = branch.idleMinutes;
+                if (depth < candidates.length) {
+                    gapMinutes = 0;
+                    branch.idleByDay.forEach((idle, dayIndex) => {
+                        gapMinutes += Math.max(0, idle - (rest.minutesByDay[DAY_ORDER[dayIndex]] || 0));
+                    });
+                }
+                const earlyCount = branch.earlyCount + rest.earlyCount;
+                const freeDayCount = FREE_DAY_CANDIDATES.filter(day => !branch.slotsByDay[DAY_ORDER.indexOf(day)] && !rest.usedDays.has(day)).length;
+
+                const points = (prefs.earlyWeight > 0 ? -prefs.earlyWeight * earlyCount : 0)
+                    + (prefs.gapWeight > 0 ? -prefs.gapWeight * (Math.round(gapMinutes / 6) / 10) : 0)
+                    + (prefs.freeDayWeight > 0 ? prefs.freeDayWeight * freeDayCount : 0)
+                    + branch.facultyPoints + rest.facultyPoints;
+                return Math.round(points * 10) / 10;
+            }
+
+            const best = []; // Min-heap of the best schedules so far, see keepBestSchedule()
+            const chosen = []; // Stack of { courseKey, section, schedule } along the current branch
+            let found = 0;
+            let skippedBranches = false;
+
+            function backtrack(depth, branch) {
+                // Bound: nothing below this branch can replace the worst kept schedule. For a complete
+                // schedule the bound is its exact score, so the full breakdown is only built when it is kept.
+                if (best.length >= limit && scoreUpperBound(depth, branch) <= best[0].score) {
+                    skippedBranches = true;
+                    if (depth === candidates.length) found++;
+                    return;
+                }
+                if (depth === candidates.length) {
+                    const sections = {};
+                    chosen.forEach(entry => { sections[entry.courseKey] = entry.section; });
+                    found++;
+                    keepBestSchedule(best, { sections, ...scoreSchedule(sections, prefs, chosen.flatMap(entry => entry.schedule)) }, limit);
+                    return;
+                }
+
+                const { courseKey, options } = candidates[depth];
+                const partnerEntry = chosen.find(entry => entry.courseKey === coursePairs.get(courseKey));
+                const partner = partnerEntry && { [partnerEntry.courseKey]: partnerEntry.section };
+                for (const option of options) {
+                    // Prune: skip any section that breaks the theory/lab pairing rule with its partner on this branch
+                    if (partner && getPairMismatch(option.section, partner)) continue;
+                    // ...or that clashes with one already placed
+                    const next = extendBranch(branch, option);
+                    if (!next) continue;
+
+                    chosen.push({ courseKey, section: option.section, schedule: option.schedule });
+                    backtrack(depth + 1, next);
+                    chosen.pop();
+                }
+            }
+
+            // A course without any sections makes every combination impossible
+            if (candidates.length > 0 && candidates.every(c => c.options.length > 0)) {
+                backtrack(0, { slotsByDay: DAY_ORDER.map(() => null), idleByDay: DAY_ORDER.map(() => 0), idleMinutes: 0, earlyCount: 0, facultyPoints: 0 });
+            }
+            return { schedules: best.sort((a, b) => b.score - a.score), truncated: skippedBranches || found > best.length };
+        }
+
+        /**
+         * Scores a schedule against the weighted preferences. Higher is better.
+         * @param {object} schedule - Map of courseKey -> sectionData.
+         * @param {object} prefs - Preference weights, see schedulePreferences.
+         * @param {object[]} [slots] - The schedule's meetings, when the caller has already parsed them.
+         * @returns {{score: number, breakdown: {label: string, points: number}[]}}
+         */
+        function scoreSchedule(schedule, prefs, slots = Object.values(schedule).flatMap(section => getSectionSchedule(section))) {
+            const sections = Object.values(schedule);
+            const breakdown = [];
+
+            // 1. Early classes: penalise every meeting that starts before the cut-off
+            const earlyCount = slots.filter(slot => slot.start < prefs.earlyStart).length;
+            if (prefs.earlyWeight > 0) {
+                breakdown.push({
+                    label: `${earlyCount} class${earlyCount === 1 ? '' : 'es'} before ${timeSlotToString(prefs.earlyStart)}`,
+                    points: -prefs.earlyWeight * earlyCount
+                });
+            }
+
+            // 2. Gaps: idle hours between consecutive classes on the same day
+            const slotsByDay = groupSlotsByDay(slots);
+            const gapMinutes = Object.values(slotsByDay).reduce((sum, daySlots) => sum + getIdleMinutes(daySlots), 0);
+            if (prefs.gapWeight > 0) {
+                const gapHours = Math.round(gapMinutes / 6) / 10; // One decimal place
+                breakdown.push({
+                    label: `${gapHours} h of gaps between classes`,
+                    points: -prefs.gapWeight * gapHours
+                });
+            }
+
+            // 3. Full days off among the usual teaching days
+            const freeDays = FREE_DAY_CANDIDATES.filter(day => !slotsByDay[day]);
+            if (prefs.freeDayWeight > 0) {
+                breakdown.push({
+                    label: freeDays.length > 0 ? `Days off: ${freeDays.join(', ')}` : 'No full days off',
+                    points: prefs.freeDayWeight * freeDays.length
+                });
+            }
+
+            // 4. Faculty preferences by Initial
+            if (prefs.facultyWeight > 0) {
+                sections.forEach(section => {
+                    if (prefs.preferredFaculty.includes(section['Initial'])) {
+                        breakdown.push({ label: `Preferred faculty ${section['Initial']} (${section['Formal Code']})`, points: prefs.facultyWeight });
+                    } else if (prefs.avoidedFaculty.includes(section['Initial'])) {
+                        breakdown.push({ label: `Avoided faculty ${section['Initial']} (${section['Formal Code']})`, points: -prefs.facultyWeight });
+                    }
+                });
+            }
+
+            const score = Math.round(breakdown.reduce((sum, item) => sum + item.points, 0) * 10) / 10;
+            return { score, breakdown };
+        }
+
+        /** Runs the generator over the courses chosen in View 1, keeping the best schedules for the current preferences. */
+        function runScheduleGenerator() {
+            const result = generateSchedules(Array.from(selectedCoursesForAssignment), schedulePreferences, MAX_RANKED_SCHEDULES);
+            generatedSchedules = result.schedules;
+            generatorTruncated = result.truncated;
+            generatorPage = 0;
+        }
+
+        /** Renders the preference controls used to rank generated schedules (View 3). */
+        function renderPreferencePanel() {
+            const panel = document.getElementById('preference-panel');
+            if (!panel) return;
+
+            const startOptions = [...new Set([...THEORY_SLOTS, ...LAB_SLOTS].map(slot => parseTimeRange(slot).start))]
+                .sort((a, b) => a - b);
+
+            // Faculty teaching any of the selected courses, for the prefer/avoid lists
+            const facultyMap = {};
+            allCoursesData.forEach(row => {
+                if (selectedCoursesForAssignment.has(getCourseKey(row)) && row['Initial']) {
+                    facultyMap[row['Initial']] = row['Faculty Full Name'];
+                }
+            });
+            const sortedInitials = Object.keys(facultyMap).sort();
+
+            const weightInput = (key, label) => `
+                <label class="block text-xs font-semibold text-gray-600 mt-3">${label}
+                    <span class="font-normal text-gray-500">(weight ${schedulePreferences[key]})</span>
+                </label>
+                <input type="range" min="0" max="10" value="${schedulePreferences[key]}"
+                    onchange="handlePreferenceChange('${key}', Number(this.value))" class="w-full">
+            `;
+
+            const facultyOptions = (listKey) => sortedInitials.map(initial => `
+                <option value="${initial}" ${schedulePreferences[listKey].includes(initial) ? 'selected' : ''}>${facultyMap[initial]} (${initial})</option>
+            `).join('');
+
+            panel.innerHTML = `
+                <label class="block text-xs font-semibold text-gray-600">Avoid classes starting before</label>
+                <select onchange="handlePreferenceChange('earlyStart', Number(this.value))"
+                    class="w-full p-2 border border-gray-300 rounded-lg bg-white text-sm">
+                    ${startOptions.map(minutes => `<option value="${minutes}" ${minutes === schedulePreferences.earlyStart ? 'selected' : ''}>${timeSlotToString(minutes)}</option>`).join('')}
+                </select>
+                ${weightInput('earlyWeight', 'Early classes penalty')}
+                ${weightInput('gapWeight', 'Gaps between classes penalty (per hour)')}
+                ${weightInput('freeDayWeight', `Full days off bonus (${FREE_DAY_CANDIDATES.join('/')})`)}
+                ${weightInput('facultyWeight', 'Faculty preference weight')}
+
+                <label class="block text-xs font-semibold text-gray-600 mt-3">Preferred faculty</label>
+                <select multiple onchange="handlePreferenceChange('preferredFaculty', Array.from(this.selectedOptions, o => o.value))"
+                    class="w-full h-24 p-1 border border-gray-300 rounded-lg bg-white text-xs custom-scroll">
+                    ${facultyOptions('preferredFaculty')}
+                </select>
+                <label class="block text-xs font-semibold text-gray-600 mt-3">Avoided faculty</label>
+                <select multiple onchange="handlePreferenceChange('avoidedFaculty', Array.from(this.selectedOptions, o => o.value))"
+                    class="w-full h-24 p-1 border border-gray-300 rounded-lg bg-white text-xs custom-scroll">
+                    ${facultyOptions('avoidedFaculty')}
+                </select>
+            `;
+        }
+
+        /** Updates a single preference, re-ranks every combination and re-renders View 3. */
+        window.handlePreferenceChange = function(key, value) {
+            schedulePreferences[key] = value;
+            runScheduleGenerator(); // The best schedules depend on the weights, so all combinations are scored again
+            renderPreferencePanel();
+            renderGeneratedSchedules();
+        }
+
+        /** Renders the current page of generated schedules (View 3). */
+        function renderGeneratedSchedules() {
+            const listElement = document.getElementById('generated-schedule-list');
+            const pagerElement = document.getElementById('generator-pager');
+            const countElement = document.getElementById('generator-count');
+            if (!listElement || !pagerElement || !countElement) return;
+
+            listElement.innerHTML = '';
+            pagerElement.innerHTML = '';
+            countElement.textContent = `${generatedSchedules.length}${generatorTruncated ? '+' : ''} found`;
+
+            if (selectedCoursesForAssignment.size === 0) {
+                listElement.innerHTML = '<p class="text-center text-gray-500 py-4">No courses selected. Return to Course Selection view to choose courses.</p>';
+                return;
+            }
+            if (generatedSchedules.length === 0) {
+                listElement.innerHTML = '<p class="text-center text-gray-500 mt-4 p-4 border rounded-lg bg-yellow-50 border-yellow-300">No conflict-free combination exists for the selected courses. Try removing a course.</p>';
+                return;
+            }
+
+            const pageCount = Math.ceil(generatedSchedules.length / SCHEDULES_PER_PAGE);
+            const startIndex = generatorPage * SCHEDULES_PER_PAGE;
+            const pageSchedules = generatedSchedules.slice(startIndex, startIndex + SCHEDULES_PER_PAGE);
+
+            if (generatorTruncated) {
+                listElement.innerHTML = `<p class="text-sm text-yellow-800 p-3 border rounded-lg bg-yellow-50 border-yellow-300">At least ${MAX_RANKED_SCHEDULES} schedules fit; these are the best ${MAX_RANKED_SCHEDULES} for your preferences out of all of them.</p>`;
+            }
+
+            pageSchedules.forEach((entry, offset) => {
+                const index = startIndex + offset;
+                const sortedSections = Object.values(entry.sections)
+                    .sort((a, b) => a['Formal Code'].localeCompare(b['Formal Code']));
+
+                const card = document.createElement('div');
+                card.className = 'p-4 rounded-xl border-2 border-gray-200 bg-gray-50';
+                card.innerHTML = `
+                    <div class="flex justify-between items-center mb-3">
+                        <h3 class="font-bold text-lg text-gray-900">
+                            Schedule #${index + 1}
+                            <span class="ml-2 text-sm font-semibold bg-indigo-100 text-indigo-800 px-2 py-0.5 rounded-full">Score: ${entry.score}</span>
+                        </h3>
+                        <button onclick="applyGeneratedSchedule(${index})"
+                            class="py-1 px-3 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700 transition duration-150">
+                            Apply This Schedule
+                        </button>
+                    </div>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-2 text-xs text-gray-700">
+                        ${sortedSections.map(section => `
+                            <div class="p-2 rounded-lg bg-white border border-gray-200">
+                                <p class="font-bold text-sm">${section['Formal Code']} - ${section['Section']}</p>
+                                <p>${section['Day1']}: ${section['Time1']} (${section['Room1']})</p>
+                                ${section['Day2'] && section['Time2'] && section['Day2'].trim() !== '' && section['Time2'].trim() !== '-' && !isRepeatedMeeting(section) ?
+                                    `<p>${section['Day2']}: ${section['Time2']} (${section['Room2']})</p>`
+                                    : ''}
+                                <p class="text-gray-500 truncate">${section['Faculty Full Name']}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${entry.breakdown.length > 0 ? `
+                        <ul class="mt-3 text-xs text-gray-600 space-y-0.5">
+                            ${entry.breakdown.map(item => `
+                                <li class="flex justify-between">
+                                    <span>${item.label}</span>
+                                    <span class="font-semibold ${item.points > 0 ? 'text-green-700' : item.points < 0 ? 'text-red-700' : 'text-gray-500'}">${item.points > 0 ? '+' : ''}${Math.round(item.points * 10) / 10}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                `;
+                listElement.appendChild(card);
+            });
+
+            pagerElement.innerHTML = `
+                <button onclick="changeGeneratorPage(-1)" ${generatorPage === 0 ? 'disabled' : ''}
+                    class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 disabled:opacity-50">
+                    Previous
+                </button>
+                <span class="text-sm text-gray-600">Page ${generatorPage + 1} of ${pageCount}</span>
+                <button onclick="changeGeneratorPage(1)" ${generatorPage >= pageCount - 1 ? 'disabled' : ''}
+                    class="py-2 px-4 rounded-lg bg-gray-200 text-gray-800 font-semibold hover:bg-gray-300 transition duration-150 disabled:opacity-50">
+                    Next
+                </button>
+            `;
+        }
+
+        /** Moves the generator pager forwards or backwards by the given number of pages. */
+        window.changeGeneratorPage = function(delta) {
+            const pageCount = Math.ceil(generatedSchedules.length / SCHEDULES_PER_PAGE);
+            generatorPage = Math.min(Math.max(generatorPage + delta, 0), Math.max(pageCount - 1, 0));
+            renderGeneratedSchedules();
+        }
+
+        /** Replaces the current section picks with a generated schedule and returns to View 2. */
+        window.applyGeneratedSchedule = function(index) {
+            const entry = generatedSchedules[index];
+            if (!entry) return;
+
+            selectedSections = { ...entry.sections };
+            fixSuggestions = null;
+            changeView('sectionAssignment');
         }
 
         // Initialize the application when the DOM is fully loaded